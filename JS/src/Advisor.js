@@ -0,0 +1,297 @@
+// src/Advisor.js
+// =======================================================
+// IA conseillère "multi-coups" (lookahead exact).
+//
+// Au lieu de comparer STAY avec l'espérance après UNE carte, on évalue
+// des politiques complètes sur la pioche restante, par récursion exacte
+// (tirages sans remise, états mémoïsés) :
+//
+// - plans fixes "hit jusqu'à N nombres distincts" pour chaque N atteignable
+// - la politique d'arrêt OPTIMALE : à chaque état, max(STAY, E[HIT])
+//
+// Pour chaque politique : espérance du score du tour (bonus Flip 7 inclus),
+// P(Flip 7) et P(bust). Un seul parcours de l'arbre évalue toutes les
+// politiques à la fois (un vecteur de résultats par état).
+//
+// Modèle :
+// - Nombres : nouveau => ajouté ; doublon => bust (0), sauf SecondChance
+//   (consommée, le doublon part à la défausse).
+// - Modificateurs : x2 (double la somme des nombres), +v.
+// - Actions (options.actions = false) : neutres pour le score ; tirer une action
+//   ne fait que passer à la carte suivante, on les retire donc de la distribution.
+// - maxDraws : nombre de tirages simulés au plus (au-delà : STAY).
+// - plans: false : seulement la politique optimale (bien plus rapide, pour les bots).
+// - flip7Size / flip7Bonus : règles de la partie (src/Rules.js), 7 et +15 par défaut.
+//
+// Facteurs optionnels (calculés par Game, voir computeAdviceForPlayer) :
+// - actions: true : les actions tirées par le joueur sont modélisées
+//     * SecondChance : assurance contre un doublon (+ la carte supplémentaire
+//       tirée aussitôt, sauf pendant un FlipThree où elle compte parmi les trois) ;
+//       neutre s'il en a déjà une (donnée à un autre)
+//     * Freeze / FlipThree : neutres s'il reste un adversaire actif (il sera visé),
+//       sinon le joueur se vise lui-même (Freeze => 0, FlipThree => 3 tirages forcés)
+// - hazard: { freeze, flipThree } : probabilité, entre deux tirages du joueur,
+//   qu'un adversaire le gèle (score 0) ou lui impose un FlipThree
+// - riskTolerance : situation de la partie. On continue si E[HIT] > stay x (1 - t) :
+//   t > 0 => on accepte de perdre un peu d'espérance (rattrapage), t < 0 => prudence
+// =======================================================
+
+const FLIP7_SIZE = 7;
+const FLIP7_BONUS = 15;
+const DEFAULT_MAX_DRAWS = 6;
+const FLIP_THREE_DRAWS = 3;
+
+class Advisor {
+  // player : { numbers, hasX2, plusBonus, secondChance }
+  // cards  : cartes restantes dans la pioche
+  constructor(player, cards, options = {}) {
+    this.maxDraws = options.maxDraws ?? DEFAULT_MAX_DRAWS;
+    this.flip7Size = options.flip7Size ?? FLIP7_SIZE;
+    this.flip7Bonus = options.flip7Bonus ?? FLIP7_BONUS;
+
+    // Politiques évaluées (indices dans les vecteurs de résultats) :
+    // 0..flip7Size = "hit jusqu'à N" (si plans), puis l'optimale en dernier
+    this.withPlans = options.plans !== false;
+    this.nb = this.withPlans ? this.flip7Size + 2 : 1;
+    this.optimal = this.nb - 1;
+
+    // Facteurs (voir en-tête)
+    this.withActions = options.actions === true;
+    this.alone = options.alone === true;
+    this.hazardFreeze = (options.hazard && options.hazard.freeze) || 0;
+    this.hazardFlipThree = (options.hazard && options.hazard.flipThree) || 0;
+    this.riskTolerance = options.riskTolerance || 0;
+
+    // --- Comptage de la pioche (hors actions) ---
+    this.numberCounts = new Array(13).fill(0);
+    const mods = new Map(); // valeur ("x2" | 2 | 4 ... | "SecondChance") -> exemplaires
+    this.freezeCount = 0;
+    this.flipThreeCount = 0;
+    for (const c of cards) {
+      if (c.type === "number") this.numberCounts[c.value]++;
+      else if (c.type === "modifier") mods.set(c.value, (mods.get(c.value) || 0) + 1);
+      else if (this.withActions && c.value === "SecondChance") mods.set(c.value, (mods.get(c.value) || 0) + 1);
+      else if (this.withActions && c.value === "Freeze") this.freezeCount++;
+      else if (this.withActions && c.value === "FlipThree") this.flipThreeCount++;
+    }
+    // Les SecondChance tirées changent l'état : suivies comme les modificateurs
+    this.modifiers = [...mods.entries()].map(([value, count]) => ({ value, count }));
+
+    // Freeze / FlipThree ne comptent que si le joueur est seul à pouvoir être visé
+    if (!this.alone) {
+      this.freezeCount = 0;
+      this.flipThreeCount = 0;
+    }
+
+    // Encodage des modificateurs tirés en base mixte (pour la clé de mémo)
+    this.modRadix = [];
+    let radix = 1;
+    for (const m of this.modifiers) {
+      this.modRadix.push(radix);
+      radix *= m.count + 1;
+    }
+    this.modSpace = radix;
+
+    // --- État de départ ---
+    let mask = 0;
+    player.numbers.forEach((v) => (mask |= 1 << v));
+    this.startMask = mask;
+
+    this.player = {
+      mask,
+      count: player.numbers.length,
+      sum: player.numbers.reduce((a, b) => a + b, 0),
+      hasX2: player.hasX2,
+      plusBonus: player.plusBonus,
+      secondChance: player.secondChance,
+    };
+  }
+
+  // Score du tour si on s'arrête dans cet état
+  stayScore(count, sum, hasX2, plusBonus) {
+    const base = (hasX2 ? sum * 2 : sum) + plusBonus;
+    return count >= this.flip7Size ? base + this.flip7Bonus : base;
+  }
+
+  // ---------------------------------------------------------------------
+  // Évaluation de toutes les politiques depuis un état.
+  // Retour : Float64Array [ev x nb, pFlip7 x nb, pBust x nb]
+  // (paramètres "à plat" plutôt qu'un objet : la récursion visite des dizaines de
+  //  milliers d'états, on évite les allocations)
+  // forced = tirages imposés restants (FlipThree, carte bonus de SecondChance)
+  // ---------------------------------------------------------------------
+  evaluate(mask, count, sum, hasX2, plusBonus, secondChance, scDiscard, modsCode, forced, draws, memo) {
+    const nb = this.nb;
+    const stay = this.stayScore(count, sum, hasX2, plusBonus);
+    const res = new Float64Array(3 * nb);
+
+    if (count >= this.flip7Size) {
+      for (let k = 0; k < nb; k++) {
+        res[k] = stay;
+        res[nb + k] = 1;
+      }
+      return res;
+    }
+
+    const key =
+      (((mask * this.modSpace + modsCode) * 2 + (secondChance ? 1 : 0)) * 14 + (scDiscard + 1)) * (FLIP_THREE_DRAWS + 1) +
+      forced;
+    const cached = memo.get(key);
+    if (cached) return cached;
+
+    const hit = this.drawOutcomes(mask, count, sum, hasX2, plusBonus, secondChance, scDiscard, modsCode, forced, draws, memo);
+
+    for (let k = 0; k < nb; k++) {
+      const keepDrawing =
+        hit !== null && (forced > 0 || (k === this.optimal ? hit[k] > stay * (1 - this.riskTolerance) : count < k));
+      if (keepDrawing) {
+        res[k] = hit[k];
+        res[nb + k] = hit[nb + k];
+        res[2 * nb + k] = hit[2 * nb + k];
+      } else {
+        res[k] = stay;
+      }
+    }
+
+    memo.set(key, res);
+    return res;
+  }
+
+  // ---------------------------------------------------------------------
+  // Espérance (par politique) d'UN tirage depuis l'état, puis de la suite.
+  // null si la pioche est vide ou la limite de tirages atteinte.
+  // Pendant des tirages forcés, Freeze / FlipThree sont mis de côté (FlipThree) :
+  // ils sortent de la distribution ; une SecondChance reste gardée aussitôt.
+  // ---------------------------------------------------------------------
+  drawOutcomes(mask, count, sum, hasX2, plusBonus, secondChance, scDiscard, modsCode, forced, draws, memo) {
+    if (draws >= this.maxDraws) return null;
+
+    const nb = this.nb;
+    const size = 3 * nb;
+    const remaining = new Array(13);
+    let total = 0;
+    for (let v = 0; v <= 12; v++) {
+      let r = this.numberCounts[v];
+      if (mask & (1 << v) && !(this.startMask & (1 << v))) r--; // tiré pendant la simulation
+      if (scDiscard === v) r--;
+      remaining[v] = r;
+      total += r;
+    }
+
+    const modsLeft = new Array(this.modifiers.length);
+    for (let k = 0; k < this.modifiers.length; k++) {
+      const m = this.modifiers[k];
+      modsLeft[k] = m.count - (Math.floor(modsCode / this.modRadix[k]) % (m.count + 1));
+      total += modsLeft[k];
+    }
+
+    const selfActions = forced > 0 ? 0 : this.freezeCount + this.flipThreeCount;
+    total += selfActions;
+    if (total <= 0) return null;
+
+    const hit = new Float64Array(size);
+    const d = draws + 1;
+    const f = forced > 0 ? forced - 1 : 0;
+
+    // Ajoute p x (valeur de l'état suivant), avec les actions adverses
+    // (hazard) une fois le tirage du joueur terminé
+    const add = (p, m, c, s, x2, plus, sc, scd, code, nextForced) => {
+      const r = this.evaluate(m, c, s, x2, plus, sc, scd, code, nextForced, d, memo);
+      const hazard = nextForced === 0 && c < this.flip7Size ? this.hazardFreeze + this.hazardFlipThree : 0;
+
+      if (hazard === 0) {
+        for (let i = 0; i < size; i++) hit[i] += p * r[i];
+        return;
+      }
+
+      // Gelé par un adversaire : 0 ; FlipThree adverse : 3 tirages forcés
+      const keep = p * (1 - hazard);
+      for (let i = 0; i < size; i++) hit[i] += keep * r[i];
+      if (this.hazardFlipThree > 0) {
+        const r3 = this.evaluate(m, c, s, x2, plus, sc, scd, code, FLIP_THREE_DRAWS, d, memo);
+        const p3 = p * this.hazardFlipThree;
+        for (let i = 0; i < size; i++) hit[i] += p3 * r3[i];
+      }
+    };
+
+    for (let v = 0; v <= 12; v++) {
+      if (remaining[v] <= 0) continue;
+      const p = remaining[v] / total;
+
+      if (!(mask & (1 << v))) {
+        add(p, mask | (1 << v), count + 1, sum + v, hasX2, plusBonus, secondChance, scDiscard, modsCode, f);
+      } else if (secondChance) {
+        add(p, mask, count, sum, hasX2, plusBonus, false, v, modsCode, f);
+      } else {
+        for (let k = 0; k < nb; k++) hit[2 * nb + k] += p; // doublon : score 0
+      }
+    }
+
+    for (let k = 0; k < this.modifiers.length; k++) {
+      if (modsLeft[k] <= 0) continue;
+      const m = this.modifiers[k];
+      const p = modsLeft[k] / total;
+      const code = modsCode + this.modRadix[k];
+
+      if (m.value === "SecondChance") {
+        // Nouvelle SecondChance : gardée, puis une carte de plus aussitôt (pendant un FlipThree :
+        // l'une des trois cartes) ; sinon donnée (neutre)
+        if (secondChance) add(p, mask, count, sum, hasX2, plusBonus, true, scDiscard, code, f);
+        else add(p, mask, count, sum, hasX2, plusBonus, true, scDiscard, code, forced > 0 ? f : 1);
+        continue;
+      }
+
+      const x2 = hasX2 || m.value === "x2";
+      const plus = m.value === "x2" ? plusBonus : plusBonus + Number(m.value);
+      add(p, mask, count, sum, x2, plus, secondChance, scDiscard, code, f);
+    }
+
+    // Seul joueur actif : Freeze sur soi => 0 (rien à ajouter), FlipThree sur soi
+    // => 3 tirages forcés. Ces cartes ne sont pas retirées de la pioche simulée
+    // et ne comptent pas dans maxDraws (la clé de mémo reste cohérente).
+    if (this.flipThreeCount > 0 && forced === 0) {
+      const r = this.evaluate(mask, count, sum, hasX2, plusBonus, secondChance, scDiscard, modsCode, FLIP_THREE_DRAWS, draws, memo);
+      const p = this.flipThreeCount / total;
+      for (let i = 0; i < size; i++) hit[i] += p * r[i];
+    }
+
+    return hit;
+  }
+
+  // ---------------------------------------------------------------------
+  // Conseil complet : plans fixes (si demandés) + politique optimale
+  // ---------------------------------------------------------------------
+  advise() {
+    const memo = new Map();
+    const nb = this.nb;
+    const p = this.player;
+    const n = p.count;
+    const stay = this.stayScore(p.count, p.sum, p.hasX2, p.plusBonus);
+
+    // HIT maintenant (modificateurs tirés = 0, aucune défausse SecondChance), puis chaque politique
+    const hit = this.drawOutcomes(p.mask, p.count, p.sum, p.hasX2, p.plusBonus, p.secondChance, -1, 0, 0, 0, memo);
+    const result = (k) => ({ ev: hit[k], pFlip7: hit[nb + k], pBust: hit[2 * nb + k] });
+
+    const plans = [{ target: n, ev: stay, pFlip7: 0, pBust: 0 }];
+    for (let target = n + 1; target <= this.flip7Size && hit && this.withPlans; target++) {
+      plans.push({ target, ...result(target) });
+    }
+
+    const optimal =
+      hit && hit[this.optimal] > stay * (1 - this.riskTolerance)
+        ? { action: "HIT", ...result(this.optimal) }
+        : { action: "STAY", ev: stay, pFlip7: 0, pBust: 0 };
+
+    return {
+      suggestion: optimal.action,
+      scoreStay: stay,
+      optimal,
+      plans,
+      bestPlan: plans.reduce((a, b) => (b.ev > a.ev ? b : a)),
+      maxDraws: this.maxDraws,
+      statesExplored: memo.size,
+    };
+  }
+}
+
+module.exports = Advisor;
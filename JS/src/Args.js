@@ -0,0 +1,28 @@
+// src/Args.js
+// =======================================================
+// Lecture des arguments de ligne de commande (index.js, simulate.js,
+// net/server.js) : "--seed 42" ou "--seed=42".
+// =======================================================
+
+// Valeur d'une option, ou undefined si elle est absente
+function getArgValue(argv, flag) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === flag) return argv[i + 1];
+    if (argv[i].startsWith(`${flag}=`)) return argv[i].slice(flag.length + 1);
+  }
+  return undefined;
+}
+
+// Option sans valeur : "--tui"
+function hasFlag(argv, flag) {
+  return argv.includes(flag);
+}
+
+// "Ann, Bob,Cid" -> ["Ann", "Bob", "Cid"] (undefined si l'option est absente)
+function getArgList(argv, flag) {
+  const value = getArgValue(argv, flag);
+  if (value === undefined) return undefined;
+  return value.split(",").map((s) => s.trim());
+}
+
+module.exports = { getArgValue, hasFlag, getArgList };
@@ -24,6 +24,11 @@ class Card {
     }
     return `[UNKNOWN]`;
   }
+
+  // Reconstruit une carte depuis sa forme JSON ({ type, value }) : sauvegardes, records
+  static fromJSON(obj) {
+    return new Card(obj.type, obj.value);
+  }
 }
 
 module.exports = Card;
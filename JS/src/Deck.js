@@ -1,49 +1,194 @@
 // src/Deck.js
 // =======================================================
-// Deck Flip 7 conforme aux règles :
+// Deck Flip 7 conforme aux règles (composition par défaut, voir src/Rules.js) :
 // - Nombres : 12x12, 11x11, ..., 1x1, et 0x1
 // - Actions : Freeze x3, FlipThree x3, SecondChance x3
 // - Modifiers : x2 x1, +2/+4/+6/+8/+10 (1 chacun)
-// Total = 94 cartes.
+// Total = 94 cartes. Une variante (options.rules) peut changer ces quantités.
 //
 // Méthodes:
-// - shuffle() : Fisher-Yates
+// - shuffle() : Fisher-Yates (avec le RNG du deck, seedable)
 // - draw()    : pioche en haut (fin du tableau ici)
+// - gameSet() : toutes les cartes de CETTE partie (pioche imposée comprise), non mélangées
+// - Deck.fullSet(rules) : toutes les cartes du jeu, non mélangées (comptage des cartes)
+//
+// options :
+// - seed  : seed du mélange (nombre ou texte)
+// - rng   : objet { next() } déjà construit (prioritaire sur seed)
+// - rules : Rules (ou objet partiel) ; règles standard par défaut
+// - stack : pioche imposée (tests, tutoriels), dans l'ordre de pioche :
+//     "5, Freeze, 5"                       notation compacte (texte)
+//     [5, "Freeze", { type, value }, ...]  tableau (tokens, cartes ou objets JSON)
+//     { cards, fill }                      fill = true : le reste du jeu est mélangé
+//                                          SOUS les cartes imposées (partie complète)
+//   Notation : 0..12 (nombres), x2 / +2 ... +10 (modificateurs),
+//   Freeze / FlipThree (flip3) / SecondChance (sc), sans casse, séparés par , ou espaces.
+//   Une pioche imposée qui ne respecte pas les quantités des règles est acceptée,
+//   mais deck.warnings liste les écarts (Game les affiche au début de la partie).
 // =======================================================
 
+const fs = require("fs");
 const Card = require("./Card");
+const Random = require("./Random");
+const Rules = require("./Rules");
+
+const ACTION_ALIASES = {
+  freeze: "Freeze",
+  flipthree: "FlipThree",
+  flip3: "FlipThree",
+  secondchance: "SecondChance",
+  sc: "SecondChance",
+};
+
+const sameCard = (a, b) => a.type === b.type && a.value === b.value;
 
 class Deck {
-  constructor() {
+  constructor(options = {}) {
+    this.rng = Random.from(options.rng || options.seed);
+    this.rules = Rules.from(options.rules);
     this.cards = [];
-    this.build();
-    this.shuffle();
+    this.stacked = null; // { cards: [{ type, value }], fill } : record, sauvegarde
+    this.warnings = [];
+
+    if (!options.stack) {
+      this.build();
+      this.shuffle();
+      return;
+    }
+
+    const { cards, fill } = Deck.parseStack(options.stack);
+    this.stacked = { cards: cards.map((c) => ({ type: c.type, value: c.value })), fill };
+    this.warnings = Deck.checkStack(cards, this.rules, fill);
+
+    // Reste du jeu mélangé en dessous (fill), puis les cartes imposées au-dessus
+    if (fill) {
+      this.cards = Deck.remainder(cards, this.rules);
+      this.shuffle();
+    }
+    this.cards.push(...[...cards].reverse());
   }
 
   build() {
-    // --- Cartes nombres (quantités spéciales Flip7) ---
-    for (let i = 12; i >= 1; i--) {
-      for (let k = 0; k < i; k++) {
-        this.cards.push(new Card("number", i));
+    this.cards = Deck.fullSet(this.rules);
+  }
+
+  // Nombres (12 -> 0), puis actions, puis modificateurs : même ordre que le deck
+  // historique, donc mêmes mélanges pour une même seed avec les règles standard
+  static fullSet(rules = Rules.from()) {
+    const cards = [];
+    for (const { type, value, count } of rules.deckComposition()) {
+      for (let k = 0; k < count; k++) cards.push(new Card(type, value));
+    }
+    return cards;
+  }
+
+  // Cartes de cette partie : le jeu des règles, ou la pioche imposée (+ le reste si fill)
+  gameSet() {
+    if (!this.stacked) return Deck.fullSet(this.rules);
+    const cards = this.stacked.cards.map(Card.fromJSON);
+    return this.stacked.fill ? [...cards, ...Deck.remainder(cards, this.rules)] : cards;
+  }
+
+  // Jeu des règles moins les cartes imposées (celles en trop sont ignorées)
+  static remainder(stack, rules) {
+    const rest = Deck.fullSet(rules);
+    for (const c of stack) {
+      const idx = rest.findIndex((r) => sameCard(r, c));
+      if (idx !== -1) rest.splice(idx, 1);
+    }
+    return rest;
+  }
+
+  // ---------------------------------------------------------------
+  // Pioche imposée
+  // ---------------------------------------------------------------
+  // Une carte en notation compacte : 5, x2, +4, Freeze, flip3, sc...
+  static parseCard(token) {
+    if (token instanceof Card) return token;
+    if (token && typeof token === "object") {
+      if (!["number", "action", "modifier"].includes(token.type)) {
+        throw new Error(`Carte invalide : ${JSON.stringify(token)} (type number, action ou modifier attendu).`);
       }
+      return Card.fromJSON(token);
     }
-    // Une seule carte 0
-    this.cards.push(new Card("number", 0));
 
-    // --- Cartes actions (3 de chaque) ---
-    ["Freeze", "FlipThree", "SecondChance"].forEach((a) => {
-      for (let i = 0; i < 3; i++) this.cards.push(new Card("action", a));
+    const text = String(token).trim();
+    if (/^\d+$/.test(text)) return new Card("number", Number(text));
+    if (/^\+\d+$/.test(text)) return new Card("modifier", Number(text.slice(1)));
+    if (text.toLowerCase() === "x2") return new Card("modifier", "x2");
+    if (ACTION_ALIASES[text.toLowerCase()]) return new Card("action", ACTION_ALIASES[text.toLowerCase()]);
+    throw new Error(`Carte inconnue "${text}" (attendu : 0..12, x2, +N, Freeze, FlipThree, SecondChance).`);
+  }
+
+  // Texte, tableau ou { cards, fill } => { cards: Card[], fill }
+  static parseStack(spec) {
+    let cards = spec;
+    let fill = false;
+    if (spec && typeof spec === "object" && !Array.isArray(spec)) {
+      cards = spec.cards;
+      fill = Boolean(spec.fill);
+    }
+    if (typeof cards === "string") cards = cards.split(/[\s,;]+/).filter((t) => t.length > 0);
+    if (!Array.isArray(cards) || cards.length === 0) {
+      throw new Error("Pioche imposée vide ou invalide (texte, tableau de cartes ou { cards, fill } attendu).");
+    }
+    return { cards: cards.map((t) => Deck.parseCard(t)), fill };
+  }
+
+  // Pioche imposée depuis la ligne de commande : fichier (.json ou texte) ou notation directe
+  static readStack(arg) {
+    if (!fs.existsSync(arg)) return { cards: arg };
+
+    let text;
+    try {
+      text = fs.readFileSync(arg, "utf-8");
+    } catch (err) {
+      throw new Error(`Impossible de lire la pioche ${arg} : ${err.message}`);
+    }
+    if (!arg.endsWith(".json")) return { cards: text };
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Pioche ${arg} : JSON invalide (${err.message})`);
+    }
+    return Array.isArray(data) ? { cards: data } : data;
+  }
+
+  // Écarts entre la pioche imposée et les quantités des règles :
+  // [{ card: { type, value }, count, expected }] ; card = null pour le nombre total de cartes
+  static checkStack(cards, rules, fill = false) {
+    const warnings = [];
+    const composition = rules.deckComposition();
+
+    const kinds = [];
+    cards.forEach((c) => {
+      if (!kinds.some((k) => sameCard(k, c))) kinds.push({ type: c.type, value: c.value });
     });
+    kinds.forEach((card) => {
+      const count = cards.filter((c) => sameCard(c, card)).length;
+      const entry = composition.find((k) => sameCard(k, card));
+      const expected = entry ? entry.count : 0;
+      if (count > expected) warnings.push({ card, count, expected });
+    });
+
+    if (!fill && cards.length !== rules.deckSize()) {
+      warnings.push({ card: null, count: cards.length, expected: rules.deckSize() });
+    }
+    return warnings;
+  }
 
-    // --- Modificateurs ---
-    this.cards.push(new Card("modifier", "x2"));
-    [2, 4, 6, 8, 10].forEach((v) => this.cards.push(new Card("modifier", v)));
+  // Carte en notation compacte (inverse de parseCard)
+  static label(card) {
+    if (card.type === "modifier") return card.value === "x2" ? "x2" : `+${card.value}`;
+    return String(card.value);
   }
 
   shuffle() {
     // Fisher-Yates shuffle (uniforme)
     for (let i = this.cards.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(this.rng.next() * (i + 1));
       [this.cards[i], this.cards[j]] = [this.cards[j], this.cards[i]];
     }
   }
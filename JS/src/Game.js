@@ -5,9 +5,10 @@
 //
 // Objectifs de ce fichier :
 // - Implémenter la logique principale du jeu Flip 7 (tours, actions, scoring)
-// - Supporter 2 modes :
-//     * interactive : le joueur choisit hit/stay ; peut demander un CONSEIL IA
-//     * auto        : stratégie simple (déjà existante) - utile pour tests rapides
+// - Chaque siège a sa STRATÉGIE (src/Strategy.js) : humain (prompt), bot à seuil,
+//   bot "espérance". Les 2 modes historiques ne sont plus que des valeurs par défaut :
+//     * interactive : tous les joueurs humains (hit/stay + CONSEIL IA)
+//     * auto        : tous les joueurs bots à seuil (autoTarget)
 // - Ajouter une IA probabiliste "conseillère" :
 //     * En mode interactif, le joueur peut taper "a" pour afficher une recommandation
 //     * L'IA estime l'espérance de score si HIT vs STAY, à partir du deck restant
@@ -19,39 +20,143 @@
 // Modèle probabiliste (simple et testable) :
 // - On considère le prochain tirage comme un tirage uniforme parmi les cartes restantes.
 // - On simule l'impact immédiat d'une carte sur le score du tour, puis on calcule E[score].
-// - On ignore volontairement la "valeur stratégique" des actions sur les autres joueurs
-//   (Freeze/FlipThree/SecondChance peuvent changer le tour, mais c'est complexe à quantifier).
-//   -> Le conseil est donc surtout fiable sur la partie "risque de doublon" et "gain en points".
+// - La recommandation vient du lookahead multi-coups (src/Advisor.js) : plans
+//   "hit jusqu'à N nombres" et politique d'arrêt optimale, bonus Flip 7 compris.
+// - Facteurs pris en compte (adviceFactors) : cartes action tirées (SecondChance =
+//   assurance), risque qu'un adversaire nous gèle / nous impose un FlipThree,
+//   situation de la partie (retard près de 200 => plus de risque). Le conseil dit
+//   lequel de ces facteurs a changé la recommandation.
+//
+// ----------------------------------------------------------------------------
+// Événements (EventEmitter) :
+// Game émet des événements typés avec des payloads structurés (noms de joueurs,
+// objets Card, scores). Le log texte habituel n'est qu'un abonné (src/TextLog.js).
+//
+//   gameStart         { players, seed, mode, autoTarget, rules, seats: [{ player, type, strategy }],
+//                       deck: null | { cards, fill, warnings } }   (pioche imposée, src/Deck.js)
+//   roundStart        { round, dealer }
+//   initialDeal       { round }
+//   turnStart         { round, player, state }
+//   cardDealt         { player, card, context }
+//   cardPlaced        { player, card }       (carte posée sur la rangée de player)
+//   bust              { player, card }
+//   secondChanceUsed  { player, card }
+//   secondChanceKept  { player }
+//   secondChanceGiven { player, to }        (to = null si défaussée)
+//   freeze            { player, target }
+//   flipThreeStart    { player, target }
+//   flipThreeDraw     { target, index, card }
+//   pendingAction     { player, card }              (player = cible du FlipThree, qui la résout)
+//   stay              { player }
+//   flip7             { player, numbers }
+//   reshuffle         { cards }
+//   roundScored       { round, flip7Player, scores: [{ player, roundScore, totalScore, ... }] }
+//   tieBreak          { round, players, score }   (égalité en tête : tour de départage entre players)
+//   gameOver          { winner (null si victoire partagée), winners, tieBreakRounds,
+//                       ranking: [{ rank, player, totalScore }] }   (ex aequo = même rang)
+//   gameResumed       { round, players }   (reprise d'une sauvegarde)
+//   turnTimeout       { player, seconds, answer }   (prompt réseau sans réponse à temps)
+//   decision          { kind, player, value, action? }
+//                     kind = "hitOrStay" ("hit"/"stay") | "target" (nom) | "secondChance" (bool)
+//
+// Enregistrement / rejeu :
+// - src/GameRecorder.js écoute ces événements et écrit un record JSON complet.
+// - options.decisionSource = { next(kind, playerName, info) } remplace TOUTES les
+//   décisions (hit/stay, cibles, SecondChance) : c'est ce qu'utilise replay.js.
+//
+// Règles :
+// - options.rules (src/Rules.js : instance ou objet partiel) : score de fin, taille et
+//   bonus du Flip 7, composition du deck, SecondChance en trop. Standard par défaut.
+//
+// Sauvegarde / reprise :
+// - options.savePath : l'état complet est écrit (src/SaveGame.js) au début de
+//   chaque tour de joueur, donc après chaque décision hit/stay résolue.
+// - Game.fromSave(data, options) recrée la partie et start() la reprend
+//   exactement au joueur dont c'était le tour. Le fichier est supprimé en fin de partie.
 //
 // ============================================================================
 
+const Advisor = require("./Advisor");
+const Card = require("./Card");
 const Deck = require("./Deck");
 const Player = require("./Player");
 const Logger = require("./Logger");
+const { DEFAULT_LANG, messages } = require("./Messages");
+const Random = require("./Random");
+const Rules = require("./Rules");
+const Prompts = require("./Prompts");
+const GameRecorder = require("./GameRecorder");
+const SaveGame = require("./SaveGame");
+const { HumanStrategy, ThresholdStrategy, createStrategy } = require("./Strategy");
+const { attachTextLog } = require("./TextLog");
+const EventEmitter = require("events");
 const readline = require("readline");
 
-class Game {
+const ENDGAME_WINDOW = 50; // "fin de partie proche" : un joueur à moins de 50 pts du score de fin
+const MAX_RISK_TOLERANCE = 0.5;
+
+class Game extends EventEmitter {
   // ==========================================================================
   // CONSTRUCTEUR
   // ==========================================================================
   constructor(playerNames, options = {}) {
+    super();
+
     // --- Joueurs ---
     this.players = playerNames.map((n) => new Player(n));
 
-    // --- Logger (fichier + console en local) ---
-    this.logger = new Logger();
+    // --- Logger (fichier + console en local), créé au premier log local ---
+    // options.logPath : fichier du log (défaut : logs/game_history.txt)
+    this.logger = null;
+    this.logPath = options.logPath || undefined;
+
+    // --- Langue des textes (src/Messages.js) : log, prompts, règles ---
+    this.lang = options.lang || DEFAULT_LANG;
+    this.messages = messages(this.lang);
 
     // --- Options de jeu ---
     this.mode = options.mode || "interactive"; // "interactive" | "auto"
     this.autoTarget = typeof options.autoTarget === "number" ? options.autoTarget : 4;
+    this.advisorDepth = typeof options.advisorDepth === "number" ? options.advisorDepth : 5; // lookahead de l'IA
+
+    // --- Stratégie par siège ---
+    // options.strategies : tableau aligné sur playerNames (Strategy ou spec { type, ... }).
+    // Sinon : tout le monde humain (interactive) ou bot à seuil (auto).
+    this.players.forEach((p, i) => {
+      const s = options.strategies && options.strategies[i];
+      if (s) p.strategy = typeof s.decideHitOrStay === "function" ? s : createStrategy(s);
+      else p.strategy = this.mode === "interactive" ? new HumanStrategy() : new ThresholdStrategy(this.autoTarget);
+    });
+
+    // --- Hasard reproductible ---
+    // options.rng (objet { next() }) ou options.seed ; sinon seed tirée au hasard.
+    // Le même RNG sert au mélange initial ET aux remélanges de la défausse,
+    // donc même seed + mêmes décisions => même partie carte pour carte.
+    this.rng = Random.from(options.rng || (options.seed ?? Random.randomSeed()));
+    this.seed = this.rng.seed !== undefined ? this.rng.seed : null;
+
+    // --- Règles (variantes / règles maison) ---
+    this.rules = Rules.from(options.rules);
 
     // --- Deck + défausse ---
-    this.deck = new Deck();
+    // options.deck : pioche imposée (tests, tutoriels), voir src/Deck.js (option stack)
+    this.deck = new Deck({ rng: this.rng, rules: this.rules, stack: options.deck });
     this.discardPile = [];
 
     // --- Donneur ---
     this.dealerIndex = 0;
 
+    // --- Avancement (pour la sauvegarde / reprise) ---
+    this.roundNumber = 1;
+    this.turnIndex = 0; // index (dans this.players) du joueur dont c'est le tour
+    this.roundInProgress = false;
+    this.resumed = false;
+    this.savePath = options.savePath || null;
+
+    // --- Départage (égalité en tête en fin de partie) ---
+    this.tieBreakPlayers = null; // noms des ex aequo qui jouent les tours de départage
+    this.tieBreakRounds = 0;
+
     // ------------------------------------------------------------------------
     // 🔌 IO TCP (optionnelle)
     // ------------------------------------------------------------------------
@@ -60,16 +165,18 @@ class Game {
     // et on NE crée PAS de readline local.
     this.io = options.io || null;
 
-    if (!this.io) {
-      // Mode local CLI : on lit au clavier
-      this.rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout,
-      });
-    } else {
-      // Mode TCP : pas de clavier serveur !
-      this.rl = null;
-    }
+    // Mode local CLI : le readline est créé au premier ask() seulement
+    // (une partie 100% rejouée ou automatique ne bloque pas le clavier).
+    this.rl = null;
+
+    // --- Source de décisions imposée (rejeu d'un record) ---
+    this.decisionSource = options.decisionSource || null;
+
+    // --- Log texte = abonné aux événements (désactivable : options.textLog = false) ---
+    if (options.textLog !== false) attachTextLog(this);
+
+    // --- Record machine (JSON) de la partie (désactivable : options.record = false) ---
+    this.recorder = options.record === false ? null : new GameRecorder(this, options.recordPath);
   }
 
   // ==========================================================================
@@ -82,6 +189,7 @@ class Game {
     if (this.io && typeof this.io.log === "function") {
       this.io.log(text);
     } else {
+      if (!this.logger) this.logger = new Logger(this.logPath);
       this.logger.log(text);
     }
   }
@@ -99,9 +207,61 @@ class Game {
     if (this.io && typeof this.io.ask === "function") {
       return this.io.ask(playerName, question);
     }
+    if (!this.rl) {
+      this.rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+      });
+    }
     return new Promise((resolve) => this.rl.question(question, resolve));
   }
 
+  // ==========================================================================
+  // PROMPT TYPÉ (src/Prompts.js)
+  // ==========================================================================
+  // prompt = { kind, player, ... } -> réponse typée ("hit"/"stay"/"advice", id, booléen)
+  // - io.prompt (serveur TCP) : le prompt typé est envoyé au client du joueur
+  // - sinon : question texte (ask), convertie par Prompts.parseText
+  // timeout = { answer, label } : réponse par défaut si l'io limite le temps de
+  // réponse ; l'io appelle expired(secondes) avant de l'utiliser (événement turnTimeout).
+  async prompt(prompt, timeout = null) {
+    if (this.io && typeof this.io.prompt === "function") {
+      const t = timeout && {
+        answer: timeout.answer,
+        expired: (seconds) => this.emit("turnTimeout", { player: prompt.player, seconds, answer: timeout.label }),
+      };
+      return this.io.prompt(prompt.player, prompt, t);
+    }
+
+    while (true) {
+      const r = Prompts.parseText(prompt, await this.ask(Prompts.text(prompt, this.lang), prompt.player), this.lang);
+      if (r.error === undefined) return r.value;
+      this.log(this.messages.invalidChoice);
+    }
+  }
+
+  // État public de la table (clients réseau) : ce que chaque joueur voit
+  snapshot() {
+    return {
+      round: this.roundNumber,
+      dealer: this.players[this.dealerIndex].name,
+      turn: this.roundInProgress ? this.players[this.turnIndex].name : null,
+      targetScore: this.rules.targetScore,
+      deck: this.deck.cards.length,
+      discard: this.discardPile.length,
+      players: this.players.map((p, id) => ({
+        id,
+        name: p.name,
+        totalScore: p.totalScore,
+        roundScore: p.computeRoundScore(),
+        active: p.active,
+        eliminated: p.eliminated,
+        secondChance: p.secondChance,
+        row: p.row.map((c) => ({ type: c.type, value: c.value })),
+      })),
+    };
+  }
+
   // ==========================================================================
   // Pioche / défausse
   // ==========================================================================
@@ -112,10 +272,11 @@ class Game {
     // Si la pioche est vide, on remélange la défausse
     if (this.discardPile.length === 0) return null;
 
-    this.log("[DECK] Pioche vide → mélange de la défausse.");
+    const cards = this.discardPile.length;
     this.deck.cards = this.discardPile;
     this.discardPile = [];
     this.deck.shuffle();
+    this.emit("reshuffle", { cards });
 
     return this.deck.draw();
   }
@@ -124,6 +285,36 @@ class Game {
     this.discardPile.push(card);
   }
 
+  // Carte posée sur la rangée d'un joueur : "cardPlaced" permet de rafraîchir la table
+  // (cardDealt est émis avant que la carte soit posée)
+  placeCard(player, card) {
+    player.place(card);
+    this.emit("cardPlaced", { player: player.name, card });
+  }
+
+  // Comptage des cartes, comme un joueur à la table :
+  // - visible   : rangées des joueurs (par joueur)
+  // - discarded : défausse
+  // - unseen    : le reste du jeu complet (= composition de la pioche)
+  // Appelé entre deux décisions : aucune carte n'est "en vol".
+  cardTracking() {
+    const visible = this.players.map((p) => ({ player: p.name, cards: [...p.row] }));
+    const seen = [...visible.flatMap((v) => v.cards), ...this.discardPile];
+
+    const unseen = this.deck.gameSet();
+    for (const c of seen) {
+      const idx = unseen.findIndex((u) => u.type === c.type && u.value === c.value);
+      if (idx === -1) throw new Error(`Comptage incohérent : carte ${c.toString()} en trop sur la table.`);
+      unseen.splice(idx, 1);
+    }
+
+    if (unseen.length !== this.deck.cards.length) {
+      throw new Error(`Comptage incohérent : ${unseen.length} cartes inconnues pour ${this.deck.cards.length} en pioche.`);
+    }
+
+    return { visible, discarded: [...this.discardPile], unseen };
+  }
+
   // ==========================================================================
   // Affichage état joueur (nettoyé)
   // ==========================================================================
@@ -132,40 +323,160 @@ class Game {
     return `${p.name} | nombres=[${p.numbers.join(", ")}] | x2=${p.hasX2} | +bonus=${p.plusBonus} | secondChance=${p.secondChance}`;
   }
 
+  // ==========================================================================
+  // Décisions
+  // ==========================================================================
+  // Toutes les décisions passent par ces méthodes, qui émettent "decision".
+  // Si une decisionSource est fournie (rejeu), elle remplace prompts et mode auto.
+  async scriptedDecision(kind, playerName, info = {}) {
+    const value = await this.decisionSource.next(kind, playerName, info);
+    if (value === undefined) {
+      throw new Error(`Décision "${kind}" manquante pour ${playerName} (record incomplet ou désynchronisé).`);
+    }
+    return value;
+  }
+
+  recordDecision(kind, playerName, value, extra = {}) {
+    this.emit("decision", { kind, player: playerName, value, ...extra });
+    return value;
+  }
+
+  // Retourne "hit" ou "stay" (décidé par la stratégie du joueur)
+  async decideHitOrStay(p) {
+    if (this.decisionSource) {
+      return this.recordDecision("hitOrStay", p.name, await this.scriptedDecision("hitOrStay", p.name));
+    }
+
+    const choice = await p.strategy.decideHitOrStay(this, p);
+    if (choice !== "hit" && choice !== "stay") {
+      throw new Error(`Stratégie de ${p.name} : décision invalide "${choice}" (attendu "hit" ou "stay").`);
+    }
+    return this.recordDecision("hitOrStay", p.name, choice);
+  }
+
+  // Doublon + SecondChance en main : l'utiliser ? (true/false)
+  // C'est le PROPRIÉTAIRE de la SecondChance qui décide.
+  async decideUseSecondChance(player, card) {
+    if (this.decisionSource) {
+      return this.recordDecision("secondChance", player.name, await this.scriptedDecision("secondChance", player.name));
+    }
+
+    const use = Boolean(await player.strategy.useSecondChance(this, player, card));
+    return this.recordDecision("secondChance", player.name, use);
+  }
+
   // ==========================================================================
   // Choix d'une cible (pour actions)
   // ==========================================================================
-  // actorName = joueur qui doit répondre au prompt (important en TCP)
-  async chooseTargetPlayer(actorName, activeOnly = true) {
-    const candidates = this.players.filter((p) => (activeOnly ? p.active : true));
+  // actorName = joueur qui choisit (sa stratégie décide ; prompt routé vers lui en TCP)
+  // action    = carte à l'origine du choix ("Freeze", "FlipThree", "SecondChance" à donner)
+  // eligible  = filtre supplémentaire sur les candidats
+  async chooseTargetPlayer(actorName, activeOnly = true, action = null, eligible = () => true) {
+    const candidates = this.players.filter((p) => (activeOnly ? p.active : true) && eligible(p));
     if (candidates.length === 0) return null;
     if (candidates.length === 1) return candidates[0];
 
-    this.log(`[CHOICE] ${actorName} doit choisir une cible :`);
-    candidates.forEach((p, idx) => this.log(`  ${idx + 1}) ${p.name}`));
+    if (this.decisionSource) {
+      const name = await this.scriptedDecision("target", actorName, { action });
+      const target = candidates.find((p) => p.name === name);
+      if (!target) throw new Error(`Cible "${name}" invalide pour ${actorName} (record désynchronisé).`);
+      this.recordDecision("target", actorName, target.name, { action });
+      return target;
+    }
 
-    while (true) {
-      const ans = await this.ask("> Numéro du joueur : ", actorName);
-      const k = parseInt(ans, 10);
-      if (!Number.isNaN(k) && k >= 1 && k <= candidates.length) return candidates[k - 1];
-      this.log("Choix invalide, réessaie.");
+    const actor = this.players.find((p) => p.name === actorName);
+    const target = await actor.strategy.chooseTarget(this, actor, candidates, action);
+    if (!candidates.includes(target)) {
+      throw new Error(`Stratégie de ${actorName} : cible invalide pour ${action}.`);
     }
+    this.recordDecision("target", actorName, target.name, { action });
+    return target;
   }
 
   // ==========================================================================
   // IA PROBABILISTE (conseil)
   // ==========================================================================
-  computeAdviceForPlayer(p) {
+  // Facteurs de contexte du lookahead (voir src/Advisor.js), chacun avec
+  // les options Advisor correspondantes et une explication lisible.
+  // pool = cartes que le prochain tirage peut donner (voir computeAdviceForPlayer)
+  adviceFactors(p, pool) {
+    const others = this.players.filter((o) => o !== p);
+    const opponents = others.filter((o) => o.active);
+    const projected = (o) => o.totalScore + o.computeRoundScore();
+    const myProjected = projected(p);
+    const best = others.length > 0 ? Math.max(...others.map(projected)) : 0;
+
+    const m = this.messages;
+    const countLeft = (value) => pool.filter((c) => c.type === "action" && c.value === value).length;
+    const total = pool.length;
+
+    // --- Cartes action tirées par le joueur ---
+    const alone = opponents.length === 0;
+    const secondChances = countLeft("SecondChance");
+    const actions = {
+      id: "actions",
+      label: m.factorActions,
+      active: alone ? countLeft("Freeze") + countLeft("FlipThree") + secondChances > 0 : secondChances > 0,
+      detail: alone ? m.factorActionsAlone : m.factorActionsSecondChance(secondChances),
+      options: { actions: true, alone },
+    };
+
+    // --- Actions adverses : un adversaire actif tire Freeze / FlipThree et nous vise ---
+    // Les bots visent le mieux placé ; sinon on suppose une cible au hasard.
+    const leading = others.every((o) => projected(o) <= myProjected);
+    const pTargeted = alone ? 0 : leading ? 1 : 1 / opponents.length;
+    const perTurn = (n) => (total === 0 ? 0 : 1 - (1 - (n / total) * pTargeted) ** opponents.length);
+    const hazard = { freeze: perTurn(countLeft("Freeze")), flipThree: perTurn(countLeft("FlipThree")) };
+    const opponentsFactor = {
+      id: "opponents",
+      label: m.factorOpponents,
+      active: hazard.freeze + hazard.flipThree > 0,
+      detail: m.factorOpponentsRisk((hazard.freeze * 100).toFixed(1), (hazard.flipThree * 100).toFixed(1), leading && !alone),
+      options: { hazard },
+    };
+
+    // --- Situation de la partie ---
+    let riskTolerance = 0;
+    let detail = m.situationCalm;
+    const target = this.rules.targetScore;
+    if (myProjected >= target && myProjected > best) {
+      riskTolerance = -MAX_RISK_TOLERANCE;
+      detail = m.situationLeading(myProjected, target);
+    } else if (best >= target - ENDGAME_WINDOW && best > myProjected) {
+      const deficit = best - myProjected;
+      riskTolerance = Math.min(MAX_RISK_TOLERANCE, deficit / 100);
+      detail = m.situationBehind(best, deficit);
+    }
+    const situation = {
+      id: "situation",
+      label: m.factorSituation,
+      active: riskTolerance !== 0,
+      detail,
+      options: { riskTolerance },
+    };
+
+    return [actions, opponentsFactor, situation];
+  }
+
+  // options.maxDraws : profondeur du lookahead (défaut : options.advisorDepth du jeu)
+  // options.plans    : false => politique optimale seulement (plus rapide, bots)
+  // options.explain  : false => pas de comparaison facteur par facteur (bots)
+  computeAdviceForPlayer(p, options = {}) {
     if (p.eliminated || !p.active) {
-      return { suggestion: "STAY", reason: "Joueur inactif/éliminé.", details: null };
+      return { suggestion: "STAY", reason: this.messages.adviceInactive, details: null };
     }
 
-    const remaining = this.deck.cards.length;
+    // Comptage des cartes : le prochain tirage vient des cartes encore inconnues,
+    // ou de la défausse remélangée si la pioche est vide (jamais de la table).
+    const tracking = this.cardTracking();
+    const pool = tracking.unseen.length > 0 ? tracking.unseen : tracking.discarded;
+
+    const remaining = pool.length;
     if (remaining <= 0) {
-      return { suggestion: "STAY", reason: "Plus de cartes restantes dans la pioche.", details: { remainingCards: 0 } };
+      return { suggestion: "STAY", reason: this.messages.adviceNoCards, details: { remainingCards: 0 } };
     }
 
-    const scoreStay = p.computeRoundScore(false);
+    const scoreStay = p.computeRoundScore();
 
     const counts = {
       total: remaining,
@@ -175,7 +486,7 @@ class Game {
       actionTotal: 0,
     };
 
-    for (const c of this.deck.cards) {
+    for (const c of pool) {
       if (c.type === "number") {
         counts.numberByValue.set(c.value, (counts.numberByValue.get(c.value) || 0) + 1);
       } else if (c.type === "modifier") {
@@ -225,7 +536,7 @@ class Game {
       const doubled = virtual.hasX2 ? sumNumbers * 2 : sumNumbers;
       let score = doubled + virtual.plusBonus;
 
-      if (virtual.numbers.length >= 7) score += 15;
+      if (virtual.numbers.length >= this.rules.flip7Size) score += this.rules.flip7Bonus;
       return score;
     };
 
@@ -248,20 +559,71 @@ class Game {
       expectedHitScore += (counts.actionTotal / counts.total) * scoreStay;
     }
 
-    const suggestion = expectedHitScore > scoreStay ? "HIT" : "STAY";
-    const reason = suggestion === "HIT"
-      ? "Espérance de score > score actuel."
-      : "Risque / espérance : rester est mieux ou égal.";
+    // Lookahead multi-coups (src/Advisor.js) : plans "hit jusqu'à N" + politique optimale,
+    // avec tous les facteurs actifs. C'est lui qui donne la recommandation ;
+    // E(hit) un coup reste affiché pour comparaison.
+    const maxDraws = options.maxDraws ?? this.advisorDepth;
+    const factors = this.adviceFactors(p, pool).filter((f) => f.active);
+    const advise = (list, plans) =>
+      new Advisor(
+        p,
+        pool,
+        Object.assign(
+          { maxDraws, plans, flip7Size: this.rules.flip7Size, flip7Bonus: this.rules.flip7Bonus },
+          ...list.map((f) => f.options)
+        )
+      ).advise();
+
+    const lookahead = advise(factors, options.plans);
+    const round2 = (x) => Number(x.toFixed(2));
+
+    const suggestion = lookahead.suggestion;
+    let reason = suggestion === "HIT" ? this.messages.adviceHit(lookahead.maxDraws, round2(lookahead.optimal.ev)) : this.messages.adviceStay;
+
+    // Explication : conseil sans facteur, puis avec chaque facteur seul
+    let baseSuggestion = null;
+    let changedBy = [];
+    if (options.explain !== false && factors.length > 0) {
+      baseSuggestion = advise([], false).suggestion;
+      factors.forEach((f) => (f.suggestion = advise([f], false).suggestion));
+
+      if (baseSuggestion !== suggestion) {
+        changedBy = factors.filter((f) => f.suggestion === suggestion);
+        if (changedBy.length === 0) changedBy = factors; // seulement leur combinaison
+        reason += ` ${this.messages.adviceChangedBy(suggestion, baseSuggestion, changedBy.map((f) => f.label))}`;
+      }
+    }
 
     return {
       suggestion,
       reason,
       details: {
         remainingCards: counts.total,
+        tracking: {
+          visible: tracking.visible.reduce((n, v) => n + v.cards.length, 0),
+          discarded: tracking.discarded.length,
+          unseen: tracking.unseen.length,
+        },
         pBustRaw: Number(pBustRaw.toFixed(3)),
         scoreStay,
         expectedHitScore: Number(expectedHitScore.toFixed(2)),
         numbersAlready: p.numbers.length,
+        optimal: {
+          action: lookahead.optimal.action,
+          ev: round2(lookahead.optimal.ev),
+          pFlip7: Number(lookahead.optimal.pFlip7.toFixed(3)),
+          pBust: Number(lookahead.optimal.pBust.toFixed(3)),
+        },
+        plans: lookahead.plans.map((pl) => ({
+          target: pl.target,
+          ev: round2(pl.ev),
+          pFlip7: Number(pl.pFlip7.toFixed(3)),
+          pBust: Number(pl.pBust.toFixed(3)),
+        })),
+        bestPlan: { target: lookahead.bestPlan.target, ev: round2(lookahead.bestPlan.ev) },
+        factors: factors.map((f) => ({ id: f.id, label: f.label, detail: f.detail, suggestion: f.suggestion || null })),
+        baseSuggestion,
+        changedBy: changedBy.map((f) => f.id),
       },
     };
   }
@@ -271,61 +633,61 @@ class Game {
   // actorName = joueur qui doit répondre si prompt (TCP)
   // ==========================================================================
   async applyCardToPlayer(player, card, context = "normal", actorName = null) {
-    this.log(`[CARD] ${player.name} reçoit ${card.toString()} (${context})`);
+    this.emit("cardDealt", { player: player.name, card, context });
 
     // -------------------- NUMBER --------------------
     if (card.type === "number") {
       if (player.hasNumber(card.value)) {
         // doublon
         if (player.secondChance) {
-          let use = true;
-          if (this.mode === "interactive") {
-            const ans = await this.ask(
-              `${player.name} a un doublon (${card.value}). Utiliser SecondChance ? (y/n) `,
-              actorName || player.name
-            );
-            use = ans.trim().toLowerCase().startsWith("y");
-          }
+          const use = await this.decideUseSecondChance(player, card);
 
           if (use) {
+            // Le doublon et la SecondChance utilisée partent à la défausse
             player.secondChance = false;
-            this.log(`[SECOND CHANCE] ${player.name} annule le doublon. Carte défaussée.`);
+            this.emit("secondChanceUsed", { player: player.name, card });
             this.discard(card);
+            const used = player.takeFromRow("action", "SecondChance");
+            if (used) this.discard(used);
             return { alive: true, flip7: false };
           }
         }
 
-        // élimination
+        // élimination (le doublon reste sur la table jusqu'à la fin du tour)
         player.active = false;
         player.eliminated = true;
-        this.log(`[ELIM] ${player.name} est éliminé du tour (doublon ${card.value}).`);
-        this.discard(card);
+        this.emit("bust", { player: player.name, card });
+        this.placeCard(player, card);
         return { alive: false, flip7: false };
       }
 
       player.addNumber(card.value);
-      this.discard(card);
+      this.placeCard(player, card);
 
-      const flip7 = player.countDistinctNumbers() >= 7;
-      if (flip7) this.log(`[FLIP7] ${player.name} a 7 nombres distincts ! +15 et fin du tour.`);
+      const flip7 = player.countDistinctNumbers() >= this.rules.flip7Size;
+      if (flip7) this.emit("flip7", { player: player.name, numbers: [...player.numbers] });
       return { alive: true, flip7 };
     }
 
     // -------------------- MODIFIER --------------------
     if (card.type === "modifier") {
       player.applyModifier(card.value);
-      this.discard(card);
+      this.placeCard(player, card);
       return { alive: true, flip7: false };
     }
 
     // -------------------- ACTION --------------------
+    // La carte action est posée devant le joueur visé (ou défaussée sans cible)
     if (card.type === "action") {
       const action = card.value;
-      this.discard(card);
 
       if (action === "Freeze") {
-        const target = await this.chooseTargetPlayer(actorName || player.name, true);
-        if (!target) return { alive: true, flip7: false };
+        const target = await this.chooseTargetPlayer(actorName || player.name, true, "Freeze");
+        if (!target) {
+          this.discard(card);
+          return { alive: true, flip7: false };
+        }
+        this.placeCard(target, card);
 
         target.active = false;
         target.eliminated = true;
@@ -334,37 +696,53 @@ class Game {
         target.plusBonus = 0;
         target.secondChance = false;
 
-        this.log(`[FREEZE] ${target.name} est gelé : éliminé du tour, score tour = 0.`);
+        this.emit("freeze", { player: player.name, target: target.name });
         return { alive: true, flip7: false };
       }
 
       if (action === "SecondChance") {
         if (!player.secondChance) {
           player.secondChance = true;
-          this.log(`[SECOND CHANCE] ${player.name} garde une SecondChance.`);
+          this.placeCard(player, card);
+          this.emit("secondChanceKept", { player: player.name });
 
-          const extra = this.drawCard();
+          // Pendant un FlipThree, la SecondChance compte parmi les trois cartes : pas de pioche en plus
+          const extra = context === "flipThree" ? null : this.drawCard();
           if (extra) {
             return await this.applyCardToPlayer(player, extra, "secondChance-extraDraw", actorName || player.name);
           }
           return { alive: true, flip7: false };
         } else {
-          const other = this.players.find((p) => p.active && !p.secondChance);
+          // Règle "extraSecondChance" : le joueur qui l'a tirée la donne à un joueur actif
+          // qui n'en a pas (choix comme une cible de Freeze) ; défaussée si personne ne peut la prendre
+          const other =
+            this.rules.extraSecondChance === "give"
+              ? await this.chooseTargetPlayer(player.name, true, "SecondChance", (p) => !p.secondChance)
+              : null;
           if (other) {
             other.secondChance = true;
-            this.log(`[SECOND CHANCE] ${player.name} en avait déjà : donnée à ${other.name}.`);
+            this.placeCard(other, card);
           } else {
-            this.log(`[SECOND CHANCE] Personne ne peut la recevoir : défaussée.`);
+            this.discard(card);
           }
+          this.emit("secondChanceGiven", { player: player.name, to: other ? other.name : null });
           return { alive: true, flip7: false };
         }
       }
 
       if (action === "FlipThree") {
-        const target = await this.chooseTargetPlayer(actorName || player.name, true);
-        if (!target) return { alive: true, flip7: false };
+        const target = await this.chooseTargetPlayer(actorName || player.name, true, "FlipThree");
+        if (!target) {
+          this.discard(card);
+          return { alive: true, flip7: false };
+        }
+        this.placeCard(target, card);
+
+        this.emit("flipThreeStart", { player: player.name, target: target.name });
 
-        this.log(`[FLIP THREE] ${target.name} doit retourner 3 cartes.`);
+        // Freeze / FlipThree piochés pendant la série : mis de côté (ni en pioche, ni sur la table,
+        // ni défaussés), puis résolus par la cible après les trois cartes, même si elle a sauté.
+        // Une SecondChance est gardée tout de suite : elle protège déjà la suite de la série.
         const pendingActions = [];
 
         for (let i = 1; i <= 3; i++) {
@@ -373,30 +751,37 @@ class Game {
           const c = this.drawCard();
           if (!c) break;
 
-          this.log(`[FLIP THREE] Pioche ${i}/3 pour ${target.name}: ${c.toString()}`);
+          this.emit("flipThreeDraw", { target: target.name, index: i, card: c });
 
-          if (c.type === "action") {
+          if (c.type === "action" && c.value !== "SecondChance") {
             pendingActions.push(c);
-            this.discard(c);
-          } else {
-            const res = await this.applyCardToPlayer(target, c, "flipThree", actorName || player.name);
-            if (!res.alive) break;
-            if (res.flip7) return { alive: true, flip7: true };
+            continue;
+          }
+
+          const res = await this.applyCardToPlayer(target, c, "flipThree", target.name);
+          if (!res.alive) break;
+          if (res.flip7) {
+            pendingActions.forEach((a) => this.discard(a));
+            return { alive: true, flip7: true };
           }
         }
 
-        for (const actCard of pendingActions) {
-          this.log(`[PENDING ACTION] Résolution de ${actCard.toString()} après FlipThree.`);
-          const carrier = this.players.find((p) => p.active);
-          if (!carrier) break;
+        // Résolution dans l'ordre de pioche ; un FlipThree imbriqué résout ses propres actions
+        while (pendingActions.length > 0) {
+          const actCard = pendingActions.shift();
+          this.emit("pendingAction", { player: target.name, card: actCard });
 
-          const res = await this.applyCardToPlayer(carrier, actCard, "flipThree-pendingAction", actorName || player.name);
-          if (res.flip7) return { alive: true, flip7: true };
+          const res = await this.applyCardToPlayer(target, actCard, "flipThree-pendingAction", target.name);
+          if (res.flip7) {
+            pendingActions.forEach((a) => this.discard(a));
+            return { alive: true, flip7: true };
+          }
         }
 
         return { alive: true, flip7: false };
       }
 
+      this.discard(card);
       return { alive: true, flip7: false };
     }
 
@@ -406,8 +791,8 @@ class Game {
   // ==========================================================================
   // Distribution initiale
   // ==========================================================================
-  async initialDeal() {
-    this.log("[ROUND] Distribution initiale : 1 carte par joueur.");
+  async initialDeal(roundNumber) {
+    this.emit("initialDeal", { round: roundNumber });
 
     for (const p of this.players) {
       if (!p.active) continue;
@@ -425,158 +810,232 @@ class Game {
   // ==========================================================================
   // Un tour complet
   // ==========================================================================
-  async playRound(roundNumber) {
-    this.separator();
-    this.log(`[ROUND ${roundNumber}] Début du tour. Donneur = ${this.players[this.dealerIndex].name}`);
-
-    // Reset de tour
-    this.players.forEach((p) => p.resetRoundState());
-
-    let roundEndedByFlip7 = await this.initialDeal();
-    let flip7Winner = null;
-
-    while (!roundEndedByFlip7) {
-      const activePlayers = this.players.filter((p) => p.active);
-      if (activePlayers.length === 0) break;
-
-      for (const p of activePlayers) {
-        if (!p.active) continue;
-
-        this.log("");
-        this.log(`[TURN] ${p.name} joue. État: ${this.roundStateString(p)}`);
-
-        // ------------------ MODE INTERACTIF ------------------
-        if (this.mode === "interactive") {
-          while (true) {
-            // IMPORTANT TCP : on passe p.name pour router le prompt au bon client
-            const ans = await this.ask(`${p.name} : (h)it / (s)tay / (a)dvice ? `, p.name);
-            const choice = ans.trim().toLowerCase();
-
-            if (choice.startsWith("a")) {
-              const adv = this.computeAdviceForPlayer(p);
-              if (!adv.details) {
-                this.log(`[IA] Conseil: ${adv.suggestion} | ${adv.reason}`);
-              } else {
-                this.log(
-                  `[IA] Conseil: ${adv.suggestion} | ${adv.reason}\n` +
-                    `     P(bust)≈${adv.details.pBustRaw} | stay=${adv.details.scoreStay} | E(hit)≈${adv.details.expectedHitScore} | deck=${adv.details.remainingCards}`
-                );
-              }
-              continue; // redemande hit/stay
-            }
-
-            if (choice.startsWith("s")) {
-              p.active = false;
-              this.log(`[STAY] ${p.name} reste. Il ne piochera plus ce tour.`);
-              break;
-            }
-
-            // HIT par défaut
-            const card = this.drawCard();
-            if (!card) {
-              this.log("[DECK] Plus de cartes disponibles. Fin du tour forcée.");
-              p.active = false;
-              break;
-            }
+  // resumed = true : on reprend un tour sauvegardé (pas de reset ni de distribution)
+  async playRound(roundNumber, resumed = false) {
+    let roundEndedByFlip7 = false;
 
-            const res = await this.applyCardToPlayer(p, card, "hit", p.name);
-            if (res.flip7) {
-              roundEndedByFlip7 = true;
-              flip7Winner = p;
-            }
-            break;
-          }
+    if (!resumed) {
+      this.roundInProgress = false;
+      this.saveProgress();
 
-          if (roundEndedByFlip7) break;
-          continue;
-        }
+      this.emit("roundStart", { round: roundNumber, dealer: this.players[this.dealerIndex].name });
 
-        // ------------------ MODE AUTO ------------------
-        let choice = "h";
-        if (p.countDistinctNumbers() >= this.autoTarget) {
-          choice = "s";
-          this.log(`[AUTO] ${p.name} atteint ${p.countDistinctNumbers()} nombres (>=${this.autoTarget}) => STAY`);
-        } else {
-          this.log(`[AUTO] ${p.name} a ${p.countDistinctNumbers()} nombres (<${this.autoTarget}) => HIT`);
-        }
+      // Reset de tour
+      this.players.forEach((p) => p.resetRoundState());
 
-        if (choice === "s") {
-          p.active = false;
-          continue;
-        }
+      // Tour de départage : les joueurs hors égalité ne jouent pas (ni carte, ni cible)
+      if (this.tieBreakPlayers) {
+        this.players.filter((p) => !this.tieBreakPlayers.includes(p.name)).forEach((p) => (p.active = false));
+      }
+      this.roundInProgress = true;
+      this.turnIndex = 0;
 
-        const card = this.drawCard();
-        if (!card) {
-          p.active = false;
-          continue;
-        }
+      roundEndedByFlip7 = await this.initialDeal(roundNumber);
+    }
+
+    // Les joueurs actifs jouent chacun leur tour, dans l'ordre, jusqu'à ce que
+    // tout le monde ait stay / soit éliminé (ou Flip 7).
+    while (!roundEndedByFlip7 && this.players.some((p) => p.active)) {
+      const p = this.players[this.turnIndex];
+
+      if (p.active) {
+        // Point de sauvegarde : début du tour de p (décision précédente résolue)
+        this.saveProgress();
+
+        this.emit("turnStart", { round: roundNumber, player: p.name, state: this.roundStateString(p) });
+
+        // Décision (prompt, mode auto ou rejeu selon la configuration)
+        const choice = await this.decideHitOrStay(p);
 
-        const res = await this.applyCardToPlayer(p, card, "hit", p.name);
-        if (res.flip7) {
-          roundEndedByFlip7 = true;
-          flip7Winner = p;
-          break;
+        if (choice === "stay") {
+          p.active = false;
+          this.emit("stay", { player: p.name });
+        } else {
+          const card = this.drawCard();
+          if (!card) {
+            this.log(this.messages.noMoreCards);
+            p.active = false;
+          } else {
+            const res = await this.applyCardToPlayer(p, card, "hit", p.name);
+            if (res.flip7) roundEndedByFlip7 = true;
+          }
         }
       }
+
+      this.turnIndex = (this.turnIndex + 1) % this.players.length;
     }
 
     // ==========================================================================
     // Scoring
     // ==========================================================================
-    this.log("");
-    this.log(`[ROUND ${roundNumber}] Scoring...`);
+    // Le Flip 7 n'est pas forcément celui du joueur dont c'est le tour (FlipThree sur
+    // un adversaire, distribution initiale) : c'est le joueur resté en jeu avec 7 nombres.
+    const flip7Winner = roundEndedByFlip7
+      ? this.players.find((p) => !p.eliminated && p.countDistinctNumbers() >= this.rules.flip7Size) || null
+      : null;
+    const scores = [];
 
     for (const p of this.players) {
       const flip7Bonus = flip7Winner && flip7Winner.name === p.name;
-      const roundScore = p.computeRoundScore(flip7Bonus);
+      const roundScore = p.computeRoundScore(flip7Bonus ? this.rules.flip7Bonus : 0);
       p.totalScore += roundScore;
 
-      this.log(
-        `[SCORE] ${p.name} : scoreTour=${roundScore} | total=${p.totalScore} | eliminated=${p.eliminated} | nombres=[${p.numbers.join(
-          ", "
-        )}] | x2=${p.hasX2} | +bonus=${p.plusBonus}`
-      );
+      scores.push({
+        player: p.name,
+        roundScore,
+        totalScore: p.totalScore,
+        eliminated: p.eliminated,
+        numbers: [...p.numbers],
+        hasX2: p.hasX2,
+        plusBonus: p.plusBonus,
+      });
 
       // SecondChance perdue fin de tour
       p.secondChance = false;
     }
 
+    // Fin de tour : toutes les cartes sur la table partent à la défausse
+    this.players.forEach((p) => p.clearRow().forEach((c) => this.discard(c)));
+
+    this.emit("roundScored", {
+      round: roundNumber,
+      flip7Player: flip7Winner ? flip7Winner.name : null,
+      scores,
+    });
+
     // Donneur suivant
     this.dealerIndex = (this.dealerIndex + 1) % this.players.length;
+    this.roundInProgress = false;
+  }
+
+  // ==========================================================================
+  // Sauvegarde / reprise
+  // ==========================================================================
+  toSaveData() {
+    return {
+      savedAt: new Date().toISOString(),
+      seed: this.seed,
+      rngState: typeof this.rng.state === "number" ? this.rng.state : null,
+      options: { mode: this.mode, autoTarget: this.autoTarget },
+      rules: this.rules.toJSON(),
+      stackedDeck: this.deck.stacked,
+      seats: this.players.map((p) => p.strategy.toJSON()),
+      roundNumber: this.roundNumber,
+      roundInProgress: this.roundInProgress,
+      dealerIndex: this.dealerIndex,
+      turnIndex: this.turnIndex,
+      tieBreakPlayers: this.tieBreakPlayers,
+      tieBreakRounds: this.tieBreakRounds,
+      deck: this.deck.cards.map((c) => ({ type: c.type, value: c.value })),
+      discardPile: this.discardPile.map((c) => ({ type: c.type, value: c.value })),
+      players: this.players.map((p) => p.toSaveData()),
+      record: this.recorder ? this.recorder.record : null,
+    };
+  }
+
+  saveProgress() {
+    if (!this.savePath) return;
+    SaveGame.write(this.savePath, this.toSaveData());
+  }
+
+  // Recrée une partie depuis une sauvegarde (options : io, savePath, etc.)
+  static fromSave(data, options = {}) {
+    const game = new Game(
+      data.players.map((p) => p.name),
+      {
+        ...options,
+        mode: data.options.mode,
+        autoTarget: data.options.autoTarget,
+        strategies: data.seats,
+        seed: data.seed,
+        rules: data.rules,
+        deck: data.stackedDeck || undefined, // composition de la partie (comptage des cartes)
+      }
+    );
+
+    if (data.rngState !== null && typeof game.rng.state === "number") game.rng.state = data.rngState;
+
+    game.deck.cards = data.deck.map(Card.fromJSON);
+    game.discardPile = data.discardPile.map(Card.fromJSON);
+    game.dealerIndex = data.dealerIndex;
+    game.roundNumber = data.roundNumber;
+    game.roundInProgress = data.roundInProgress;
+    game.turnIndex = data.turnIndex;
+    game.tieBreakPlayers = data.tieBreakPlayers || null;
+    game.tieBreakRounds = data.tieBreakRounds || 0;
+    data.players.forEach((saved, i) => game.players[i].restoreFromSave(saved));
+
+    if (game.recorder && data.record) game.recorder.restore(data.record);
+
+    game.resumed = true;
+    return game;
+  }
+
+  // Joueurs au meilleur score total (plusieurs en cas d'égalité)
+  leaders() {
+    const best = Math.max(...this.players.map((p) => p.totalScore));
+    return this.players.filter((p) => p.totalScore === best);
   }
 
   // ==========================================================================
   // Start
   // ==========================================================================
   async start() {
-    this.separator();
-    this.log("[GAME] Démarrage Flip 7.");
-    this.log(`[GAME] Joueurs: ${this.players.map((p) => p.name).join(", ")}`);
+    let resumeRound = false;
 
-    if (this.mode === "interactive") {
-      this.log("[GAME] Mode interactif : tape 'a' pour demander un conseil IA à ton tour.");
+    if (this.resumed) {
+      resumeRound = this.roundInProgress;
+      this.emit("gameResumed", {
+        round: this.roundNumber,
+        players: this.players.map((p) => ({ player: p.name, totalScore: p.totalScore })),
+      });
     } else {
-      this.log(`[GAME] Mode auto : seuil=${this.autoTarget}`);
+      this.emit("gameStart", {
+        players: this.players.map((p) => p.name),
+        seed: this.seed,
+        mode: this.mode,
+        autoTarget: this.autoTarget,
+        rules: this.rules.toJSON(),
+        seats: this.players.map((p) => ({ player: p.name, type: p.strategy.toJSON().type, strategy: p.strategy.label })),
+        deck: this.deck.stacked ? { ...this.deck.stacked, warnings: this.deck.warnings } : null,
+      });
     }
 
-    let roundNumber = 1;
-
     while (true) {
-      await this.playRound(roundNumber);
-      if (this.players.some((p) => p.totalScore >= 200)) break;
-      roundNumber++;
+      await this.playRound(this.roundNumber, resumeRound);
+      resumeRound = false;
+
+      if (this.players.some((p) => p.totalScore >= this.rules.targetScore)) {
+        // Égalité en tête : départage entre les seuls ex aequo (rules.tieBreak = "playoff"),
+        // au plus rules.maxTieBreakRounds tours, puis victoire partagée
+        const leaders = this.leaders();
+        if (leaders.length === 1 || this.rules.tieBreak === "shared") break;
+        if (this.tieBreakRounds >= this.rules.maxTieBreakRounds) break;
+
+        this.tieBreakPlayers = leaders.map((p) => p.name);
+        this.tieBreakRounds++;
+        this.emit("tieBreak", { round: this.roundNumber + 1, players: this.tieBreakPlayers, score: leaders[0].totalScore });
+      }
+      this.roundNumber++;
     }
 
-    // Winner
-    this.separator();
-    this.log("[GAME] Fin de partie : un joueur a atteint 200+.");
+    // Vainqueur(s) et classement (ex aequo = même rang)
+    const winners = this.leaders().map((p) => p.name);
     const sorted = [...this.players].sort((a, b) => b.totalScore - a.totalScore);
-    const winner = sorted[0];
 
-    this.log(`[WINNER] ${winner.name} avec ${winner.totalScore} points.`);
-    this.log("[RANKING] Classement final :");
-    sorted.forEach((p, i) => this.log(`  ${i + 1}) ${p.name} - ${p.totalScore}`));
-    this.separator();
+    this.emit("gameOver", {
+      winner: winners.length === 1 ? winners[0] : null,
+      winners,
+      tieBreakRounds: this.tieBreakRounds,
+      ranking: sorted.map((p) => ({
+        rank: 1 + sorted.filter((o) => o.totalScore > p.totalScore).length,
+        player: p.name,
+        totalScore: p.totalScore,
+      })),
+    });
+
+    // Partie terminée : la sauvegarde n'a plus lieu d'être
+    if (this.savePath) SaveGame.remove(this.savePath);
 
     // Fermetures propres
     if (this.io && typeof this.io.close === "function") {
@@ -588,4 +1047,29 @@ class Game {
   }
 }
 
+// Événements après lesquels l'état public de la table (snapshot) change :
+// clients réseau (net/Room.js), vue plein écran (src/TerminalUI.js)
+Game.STATE_EVENTS = [
+  "gameStart",
+  "gameResumed",
+  "roundStart",
+  "turnStart",
+  "cardDealt",
+  "cardPlaced",
+  "bust",
+  "secondChanceUsed",
+  "secondChanceKept",
+  "secondChanceGiven",
+  "freeze",
+  "flipThreeStart",
+  "flipThreeDraw",
+  "pendingAction",
+  "reshuffle",
+  "stay",
+  "flip7",
+  "roundScored",
+  "tieBreak",
+  "gameOver",
+];
+
 module.exports = Game;
@@ -0,0 +1,138 @@
+// src/GameRecorder.js
+// =======================================================
+// Record machine (JSON) d'une partie, pour la recharger / rejouer.
+//
+// Le recorder écoute les événements de Game (voir Game.js) et garde :
+// - seed, joueurs, options de jeu
+// - pour chaque tour : la timeline exacte des cartes tirées
+//   et des décisions (hit/stay, cibles, SecondChance), puis les scores
+// - le classement final
+//
+// Le fichier est écrit à la fin de la partie (gameOver), par défaut dans
+// logs/records/. Format :
+//
+// {
+//   format: "flip7-record", version: 4,
+//   seed, players: [noms], options: { mode, autoTarget, rules, deck? },
+//   rounds: [{ round, dealer, timeline: [
+//       { type: "card", player, card: { type, value }, context },
+//       { type: "decision", kind, player, value, action? } ],
+//     scores: [{ player, roundScore, totalScore }] }],
+//   final: [{ rank, player, totalScore }], winner, winners
+// }
+// =======================================================
+
+const fs = require("fs");
+const path = require("path");
+
+const RECORD_FORMAT = "flip7-record";
+// 2 : cartes en jeu défaussées en fin de tour (remélanges différents)
+// 3 : actions du FlipThree résolues par la cible, SecondChance en trop donnée au choix (décisions différentes)
+// 4 : tours de départage en cas d'égalité en tête (rules.tieBreak)
+const RECORD_VERSION = 4;
+
+class GameRecorder {
+  constructor(game, filePath = null) {
+    this.game = game;
+    this.filePath = filePath;
+    this.record = null;
+    this.currentRound = null;
+
+    game.on("gameStart", (e) => {
+      this.record = {
+        format: RECORD_FORMAT,
+        version: RECORD_VERSION,
+        startedAt: new Date().toISOString(),
+        endedAt: null,
+        seed: e.seed,
+        players: e.players,
+        options: { mode: e.mode, autoTarget: e.autoTarget, rules: e.rules },
+        rounds: [],
+        final: null,
+        winner: null,
+        winners: null,
+      };
+      // Pioche imposée : indispensable au rejeu (la seed seule ne la redonne pas)
+      if (e.deck) this.record.options.deck = { cards: e.deck.cards, fill: e.deck.fill };
+    });
+
+    game.on("roundStart", (e) => {
+      this.currentRound = { round: e.round, dealer: e.dealer, timeline: [], scores: [] };
+      this.record.rounds.push(this.currentRound);
+    });
+
+    game.on("cardDealt", (e) => {
+      this.currentRound.timeline.push({
+        type: "card",
+        player: e.player,
+        card: { type: e.card.type, value: e.card.value },
+        context: e.context,
+      });
+    });
+
+    game.on("decision", (e) => {
+      this.currentRound.timeline.push({ type: "decision", ...e });
+    });
+
+    game.on("roundScored", (e) => {
+      this.currentRound.scores = e.scores.map((s) => ({
+        player: s.player,
+        roundScore: s.roundScore,
+        totalScore: s.totalScore,
+      }));
+    });
+
+    game.on("gameOver", (e) => {
+      this.record.endedAt = new Date().toISOString();
+      this.record.final = e.ranking;
+      this.record.winner = e.winner;
+      this.record.winners = e.winners;
+      this.save();
+    });
+  }
+
+  // Reprise d'une sauvegarde : on continue le record là où il s'était arrêté
+  restore(record) {
+    this.record = record;
+    this.currentRound = record.rounds.length > 0 ? record.rounds[record.rounds.length - 1] : null;
+  }
+
+  defaultPath() {
+    const stamp = this.record.startedAt.replace(/[:.]/g, "-");
+    return path.join(__dirname, "..", "logs", "records", `game-${stamp}-seed${this.record.seed}.json`);
+  }
+
+  save() {
+    const file = this.filePath || this.defaultPath();
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+    fs.writeFileSync(file, JSON.stringify(this.record, null, 2), "utf-8");
+    this.filePath = file;
+    this.game.log(this.game.messages.recordSaved(file));
+  }
+
+  // ---------------------------------------------------------------------
+  // Lecture d'un record (pour replay.js)
+  // ---------------------------------------------------------------------
+  static load(file) {
+    const record = JSON.parse(fs.readFileSync(file, "utf-8"));
+    if (record.format !== RECORD_FORMAT) {
+      throw new Error(`${file} n'est pas un record Flip 7 (format=${record.format}).`);
+    }
+    if (record.version !== RECORD_VERSION) {
+      throw new Error(`Version de record non supportée : ${record.version} (attendu ${RECORD_VERSION}).`);
+    }
+    if (record.seed === null || record.seed === undefined) {
+      throw new Error("Record sans seed (RNG externe) : impossible de le rejouer.");
+    }
+    return record;
+  }
+
+  // Timeline complète (tous tours confondus), dans l'ordre de jeu
+  static timeline(record) {
+    return record.rounds.flatMap((r) => r.timeline);
+  }
+}
+
+module.exports = GameRecorder;
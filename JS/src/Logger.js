@@ -1,7 +1,7 @@
 // src/Logger.js
 // =======================================================
 // Logger simple : écrit des événements dans logs/game_history.txt
-// + affiche aussi dans la console.
+// + affiche aussi dans la console (sauf { echo: false } : vue plein écran).
 //
 // - On crée le dossier logs/ si besoin
 // - On timestamp chaque ligne
@@ -11,8 +11,9 @@ const fs = require("fs");
 const path = require("path");
 
 class Logger {
-  constructor(logFilePath = path.join(__dirname, "..", "logs", "game_history.txt")) {
+  constructor(logFilePath = path.join(__dirname, "..", "logs", "game_history.txt"), { echo = true } = {}) {
     this.logFilePath = logFilePath;
+    this.echo = echo;
 
     const dir = path.dirname(this.logFilePath);
     if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
@@ -23,7 +24,7 @@ class Logger {
     const line = `[${now}] ${message}\n`;
 
     // Console
-    console.log(message);
+    if (this.echo) console.log(message);
 
     // Fichier
     fs.appendFileSync(this.logFilePath, line, "utf-8");
@@ -0,0 +1,303 @@
+// src/Messages.js
+// =======================================================
+// Textes affichés d'une partie locale, par langue (option --lang de index.js).
+//
+// Couvre : questions de mise en place (index.js), log des événements
+// (src/TextLog.js), record ([RECORD]), vue plein écran (src/TerminalUI.js),
+// règles ([RULES]), questions des prompts (src/Prompts.js),
+// lignes des stratégies ([AUTO], [CHOICE], [IA]) et explications de l'IA
+// conseillère (raisons, facteurs). Restent en français : les messages du serveur réseau.
+//
+// Chaque entrée est une fonction (paramètres -> texte) ou un texte fixe.
+// Les préfixes [TAG] ne sont pas traduits : ils servent aux outils.
+// =======================================================
+
+const DEFAULT_LANG = "fr";
+
+const MESSAGES = {
+  fr: {
+    // --- Mise en place (index.js) ---
+    title: "   Flip 7 - Jeu de cartes (CLI)   ",
+    saveUnreadable: (err) => `❌ Sauvegarde illisible (${err}), elle sera ignorée.`,
+    saveFound: (round, scores) => `Partie sauvegardée trouvée : tour ${round} | ${scores}`,
+    askResume: "Reprendre cette partie ? (y/n) : ",
+    resuming: "=== Reprise de la partie ===",
+    askPlayers: (min, max) => `Nombre de joueurs (${min} à ${max}) : `,
+    invalidPlayers: (min, max) => `❌ Entrée invalide. Veuillez entrer un nombre entre ${min} et ${max}.`,
+    askName: (i) => `Nom du joueur ${i} : `,
+    emptyName: "❌ Le nom ne peut pas être vide.",
+    nameTaken: "❌ Ce nom est déjà utilisé. Choisissez-en un autre.",
+    seatTypes: [
+      "Types de sièges :",
+      "  1) Humain (hit / stay + conseil IA)",
+      "  2) Bot seuil (stay à N nombres distincts)",
+      "  3) Bot espérance (suit l’IA conseillère)",
+    ],
+    askSeat: (name) => `Siège de ${name} (1, 2 ou 3) : `,
+    invalidSeat: "❌ Choix invalide. Entrez 1, 2 ou 3.",
+    askThreshold: (name, max) => `Seuil du bot ${name} (1 à ${max}) : `,
+    invalidThreshold: (max) => `❌ Entrée invalide. Valeur entre 1 et ${max}.`,
+    tuiUnsupported: "❌ --tui : terminal interactif requis, affichage classique.",
+    launching: "=== Lancement de la partie ===",
+
+    // --- Sièges ---
+    seat: (spec) =>
+      spec.type === "human"
+        ? "humain"
+        : spec.type === "threshold"
+        ? `bot seuil ${spec.threshold}`
+        : spec.maxDraws !== undefined
+        ? `bot espérance prof. ${spec.maxDraws}`
+        : "bot espérance",
+
+    // --- Règles ---
+    rulesTarget: (r) =>
+      `Fin de partie à ${r.targetScore} pts (égalité : ${r.tieBreak === "playoff" ? `départage, ${r.maxTieBreakRounds} tours max` : "victoire partagée"}) | ` +
+      `Flip 7 = ${r.flip7Size} nombres distincts (+${r.flip7Bonus})`,
+    rulesDeck: (r, size) => `Deck : ${size} cartes | SecondChance en trop : ${r.extraSecondChance === "give" ? "donnée" : "défaussée"}`,
+    rulesStandard: "Règles standard.",
+    rulesCustom: (diffs) => `Règles maison : ${diffs.join(", ")}`,
+
+    // --- Prompts ---
+    promptHitOrStay: (p) => `${p.player} : (h)it / (s)tay / (a)dvice ? `,
+    promptTarget: "> Numéro du joueur : ",
+    promptSecondChance: (p) => `${p.player} a un doublon (${p.card}). Utiliser SecondChance ? (y/n) `,
+    invalidChoice: "Choix invalide, réessaie.",
+    expectedAnswer: (values) => `Réponse attendue : ${values.join(" | ")}`,
+    expectedTarget: (candidates) => `Cible attendue : ${candidates.join(" | ")}`,
+    unknownPrompt: (kind) => `Prompt inconnu : ${kind}`,
+    timeoutRandomTarget: (name) => `cible au hasard : ${name}`,
+    timeoutSecondChance: "SecondChance utilisée",
+
+    // --- Stratégies ---
+    advice: (adv) => `[IA] Conseil: ${adv.suggestion} | ${adv.reason}`,
+    adviceCards: (t) => `Cartes : ${t.visible} sur la table | ${t.discarded} défaussées | ${t.unseen} inconnues`,
+    advicePlans: "Plans",
+    adviceBestPlan: (plan) => `Meilleur plan fixe : tirer jusqu'à ${plan.target} nombres (E≈${plan.ev})`,
+    adviceFactor: (f) => `Facteur ${f.label} : ${f.detail} => seul : ${f.suggestion}`,
+    adviceNoFactor: (s) => `Sans facteur : ${s}`,
+    adviceInactive: "Joueur inactif/éliminé.",
+    adviceNoCards: "Plus de cartes à piocher (pioche et défausse vides).",
+    adviceHit: (depth, ev) => `Politique optimale (${depth} coups) : E≈${ev} > score actuel.`,
+    adviceStay: "Risque / espérance : rester est mieux ou égal, même en jouant plusieurs coups.",
+    adviceChangedBy: (suggestion, base, labels) => `${suggestion} au lieu de ${base} à cause de : ${labels.join(" + ")}.`,
+    factorActions: "cartes action",
+    factorActionsAlone: "seul actif : Freeze / FlipThree tirés seraient pour soi",
+    factorActionsSecondChance: (n) => `${n} SecondChance en pioche (assurance contre un doublon)`,
+    factorOpponents: "actions adverses",
+    factorOpponentsRisk: (freeze, flipThree, leading) =>
+      `risque par tour : Freeze ${freeze}% / FlipThree ${flipThree}%${leading ? " (en tête : cible prioritaire)" : ""}`,
+    factorSituation: "situation de partie",
+    situationCalm: "pas de fin de partie en vue",
+    situationLeading: (score, target) => `rester donne ${score} pts (>= ${target}) et la tête : prudence`,
+    situationBehind: (best, deficit) => `fin de partie proche (meilleur adversaire à ${best}), ${deficit} pts de retard : plus de risque`,
+    numbersWord: "nombres",
+    chooseTarget: (name, action) =>
+      action === "SecondChance" ? `[CHOICE] ${name} doit choisir à qui donner sa SecondChance en trop :` : `[CHOICE] ${name} doit choisir une cible (${action}) :`,
+    autoThresholdStay: (name, n, threshold) => `[AUTO] ${name} atteint ${n} nombres (>=${threshold}) => STAY`,
+    autoThresholdHit: (name, n, threshold) => `[AUTO] ${name} a ${n} nombres (<${threshold}) => HIT`,
+    autoAdvisor: (name, suggestion) => `[AUTO] ${name} suit l'IA => ${suggestion}`,
+
+    // --- Événements (src/TextLog.js) ---
+    gameStart: "[GAME] Démarrage Flip 7.",
+    players: (names) => `[GAME] Joueurs: ${names.join(", ")}`,
+    seed: (seed) => `[GAME] Seed: ${seed !== null ? seed : "(RNG externe)"}`,
+    seats: (list) => `[GAME] Sièges : ${list}`,
+    humansHint: "[GAME] Humains : tape 'a' pour demander un conseil IA à ton tour.",
+    deckStacked: (cards, fill) => `[DECK] Pioche imposée : ${cards.join(", ")}${fill ? " (puis le reste du jeu, mélangé)" : ""}`,
+    deckTooMany: (card, count, expected) => `[DECK] ⚠️ ${card} : ${count} dans la pioche imposée, ${expected} dans les règles.`,
+    deckSize: (count, expected) => `[DECK] ⚠️ Pioche imposée de ${count} cartes (jeu des règles : ${expected}).`,
+    resumed: (round) => `[SAVE] Reprise de la partie sauvegardée (tour ${round}).`,
+    resumedScores: (scores) => `[SAVE] Scores : ${scores}`,
+    roundStart: (round, dealer) => `[ROUND ${round}] Début du tour. Donneur = ${dealer}`,
+    initialDeal: "[ROUND] Distribution initiale : 1 carte par joueur.",
+    reshuffle: "[DECK] Pioche vide → mélange de la défausse.",
+    noMoreCards: "[DECK] Plus de cartes disponibles. Fin du tour forcée.",
+    turn: (player, state) => `[TURN] ${player} joue. État: ${state}`,
+    card: (player, card, context) => `[CARD] ${player} reçoit ${card} (${context})`,
+    bust: (player, value) => `[ELIM] ${player} est éliminé du tour (doublon ${value}).`,
+    secondChanceUsed: (player) => `[SECOND CHANCE] ${player} annule le doublon. Carte défaussée.`,
+    secondChanceKept: (player) => `[SECOND CHANCE] ${player} garde une SecondChance.`,
+    secondChanceGiven: (player, to) => `[SECOND CHANCE] ${player} en avait déjà : la donne à ${to}.`,
+    secondChanceDiscarded: "[SECOND CHANCE] Personne ne peut la recevoir : défaussée.",
+    freeze: (target) => `[FREEZE] ${target} est gelé : éliminé du tour, score tour = 0.`,
+    flipThreeStart: (target) => `[FLIP THREE] ${target} doit retourner 3 cartes.`,
+    flipThreeDraw: (index, target, card) => `[FLIP THREE] Pioche ${index}/3 pour ${target}: ${card}`,
+    pendingAction: (player, card) => `[PENDING ACTION] ${player} résout ${card} après FlipThree.`,
+    timeout: (player, seconds, answer) => `[TIMEOUT] ${player} n'a pas répondu en ${seconds} s => ${answer}`,
+    stay: (player) => `[STAY] ${player} reste. Il ne piochera plus ce tour.`,
+    flip7: (player, size, bonus) => `[FLIP7] ${player} a ${size} nombres distincts ! +${bonus} et fin du tour.`,
+    roundScoring: (round) => `[ROUND ${round}] Scoring...`,
+    score: (s) =>
+      `[SCORE] ${s.player} : scoreTour=${s.roundScore} | total=${s.totalScore} | eliminated=${s.eliminated} | ` +
+      `nombres=[${s.numbers.join(", ")}] | x2=${s.hasX2} | +bonus=${s.plusBonus}`,
+    gameOver: (target) => `[GAME] Fin de partie : un joueur a atteint ${target}+.`,
+    winner: (name, score) => `[WINNER] ${name} avec ${score} points.`,
+    sharedWin: (names, score) => `[WINNER] Victoire partagée : ${names.join(", ")} avec ${score} points.`,
+    tieBreak: (names, score) => `[TIE] Égalité en tête à ${score} points : ${names.join(", ")}. Tour de départage entre eux seuls.`,
+    tieBreakRounds: (n) => `[TIE] Départage en ${n} tour${n > 1 ? "s" : ""}.`,
+    tieBreakLimit: (n) => `[TIE] Toujours à égalité après ${n} tour${n > 1 ? "s" : ""} de départage (maximum atteint).`,
+    ranking: "[RANKING] Classement final :",
+    recordSaved: (file) => `[RECORD] Partie enregistrée : ${file}`,
+
+    // --- Vue plein écran (src/TerminalUI.js) ---
+    tuiLocalGame: "partie locale",
+    tuiNoGame: "Pas de partie en cours.",
+    tuiTableInfo: (s) => `Manche ${s.round} | Donneur ${s.dealer} | Pioche ${s.deck} | Défausse ${s.discard} | Objectif ${s.targetScore}`,
+    tuiScores: (round, total) => `manche ${round} | total ${total}`,
+    tuiScrolled: (n) => `journal : ${n} ligne(s) plus haut (PgDn)`,
+    tuiInputHint: "Entrée : commande /… ou chat",
+    tuiWaiting: "En attente des autres joueurs…",
+    tuiHitOrStayKeys: "[h] hit   [s] stay   [a] conseil",
+    tuiDuplicate: (player, card) => `${player}, doublon (${card}) :`,
+    tuiSecondChanceKeys: "SecondChance ? [y] oui   [n] non",
+  },
+
+  en: {
+    // --- Setup (index.js) ---
+    title: "   Flip 7 - Card game (CLI)   ",
+    saveUnreadable: (err) => `❌ Unreadable save (${err}), it will be ignored.`,
+    saveFound: (round, scores) => `Saved game found: round ${round} | ${scores}`,
+    askResume: "Resume this game? (y/n): ",
+    resuming: "=== Resuming the game ===",
+    askPlayers: (min, max) => `Number of players (${min} to ${max}): `,
+    invalidPlayers: (min, max) => `❌ Invalid input. Please enter a number between ${min} and ${max}.`,
+    askName: (i) => `Name of player ${i}: `,
+    emptyName: "❌ The name cannot be empty.",
+    nameTaken: "❌ This name is already used. Pick another one.",
+    seatTypes: [
+      "Seat types:",
+      "  1) Human (hit / stay + AI advice)",
+      "  2) Threshold bot (stays at N distinct numbers)",
+      "  3) Expectation bot (follows the AI advisor)",
+    ],
+    askSeat: (name) => `Seat of ${name} (1, 2 or 3): `,
+    invalidSeat: "❌ Invalid choice. Enter 1, 2 or 3.",
+    askThreshold: (name, max) => `Threshold of bot ${name} (1 to ${max}): `,
+    invalidThreshold: (max) => `❌ Invalid input. Value between 1 and ${max}.`,
+    tuiUnsupported: "❌ --tui: an interactive terminal is required, using the line display.",
+    launching: "=== Starting the game ===",
+
+    // --- Seats ---
+    seat: (spec) =>
+      spec.type === "human"
+        ? "human"
+        : spec.type === "threshold"
+        ? `threshold bot ${spec.threshold}`
+        : spec.maxDraws !== undefined
+        ? `expectation bot depth ${spec.maxDraws}`
+        : "expectation bot",
+
+    // --- Rules ---
+    rulesTarget: (r) =>
+      `Game ends at ${r.targetScore} pts (tie: ${r.tieBreak === "playoff" ? `playoff, ${r.maxTieBreakRounds} rounds max` : "shared win"}) | ` +
+      `Flip 7 = ${r.flip7Size} distinct numbers (+${r.flip7Bonus})`,
+    rulesDeck: (r, size) => `Deck: ${size} cards | extra SecondChance: ${r.extraSecondChance === "give" ? "given away" : "discarded"}`,
+    rulesStandard: "Standard rules.",
+    rulesCustom: (diffs) => `House rules: ${diffs.join(", ")}`,
+
+    // --- Prompts ---
+    promptHitOrStay: (p) => `${p.player}: (h)it / (s)tay / (a)dvice? `,
+    promptTarget: "> Player number: ",
+    promptSecondChance: (p) => `${p.player} drew a duplicate (${p.card}). Use SecondChance? (y/n) `,
+    invalidChoice: "Invalid choice, try again.",
+    expectedAnswer: (values) => `Expected answer: ${values.join(" | ")}`,
+    expectedTarget: (candidates) => `Expected target: ${candidates.join(" | ")}`,
+    unknownPrompt: (kind) => `Unknown prompt: ${kind}`,
+    timeoutRandomTarget: (name) => `random target: ${name}`,
+    timeoutSecondChance: "SecondChance used",
+
+    // --- Strategies ---
+    advice: (adv) => `[IA] Advice: ${adv.suggestion} | ${adv.reason}`,
+    adviceCards: (t) => `Cards: ${t.visible} on the table | ${t.discarded} discarded | ${t.unseen} unknown`,
+    advicePlans: "Plans",
+    adviceBestPlan: (plan) => `Best fixed plan: draw up to ${plan.target} numbers (E≈${plan.ev})`,
+    adviceFactor: (f) => `Factor ${f.label}: ${f.detail} => alone: ${f.suggestion}`,
+    adviceNoFactor: (s) => `Without factors: ${s}`,
+    adviceInactive: "Player inactive/eliminated.",
+    adviceNoCards: "No cards left to draw (deck and discard pile empty).",
+    adviceHit: (depth, ev) => `Optimal policy (${depth} draws): E≈${ev} > current score.`,
+    adviceStay: "Risk / expectation: staying is better or equal, even over several draws.",
+    adviceChangedBy: (suggestion, base, labels) => `${suggestion} instead of ${base} because of: ${labels.join(" + ")}.`,
+    factorActions: "action cards",
+    factorActionsAlone: "only active player: a Freeze / FlipThree drawn would hit yourself",
+    factorActionsSecondChance: (n) => `${n} SecondChance left in the deck (insurance against a duplicate)`,
+    factorOpponents: "opponent actions",
+    factorOpponentsRisk: (freeze, flipThree, leading) =>
+      `risk per turn: Freeze ${freeze}% / FlipThree ${flipThree}%${leading ? " (leading: priority target)" : ""}`,
+    factorSituation: "game situation",
+    situationCalm: "end of game not in sight",
+    situationLeading: (score, target) => `staying gives ${score} pts (>= ${target}) and the lead: play safe`,
+    situationBehind: (best, deficit) => `end of game near (best opponent at ${best}), ${deficit} pts behind: take more risk`,
+    numbersWord: "numbers",
+    chooseTarget: (name, action) =>
+      action === "SecondChance" ? `[CHOICE] ${name} must pick who gets the extra SecondChance:` : `[CHOICE] ${name} must pick a target (${action}):`,
+    autoThresholdStay: (name, n, threshold) => `[AUTO] ${name} reached ${n} numbers (>=${threshold}) => STAY`,
+    autoThresholdHit: (name, n, threshold) => `[AUTO] ${name} has ${n} numbers (<${threshold}) => HIT`,
+    autoAdvisor: (name, suggestion) => `[AUTO] ${name} follows the AI => ${suggestion}`,
+
+    // --- Events (src/TextLog.js) ---
+    gameStart: "[GAME] Flip 7 starts.",
+    players: (names) => `[GAME] Players: ${names.join(", ")}`,
+    seed: (seed) => `[GAME] Seed: ${seed !== null ? seed : "(external RNG)"}`,
+    seats: (list) => `[GAME] Seats: ${list}`,
+    humansHint: "[GAME] Humans: type 'a' on your turn to ask the AI for advice.",
+    deckStacked: (cards, fill) => `[DECK] Stacked deck: ${cards.join(", ")}${fill ? " (then the rest of the deck, shuffled)" : ""}`,
+    deckTooMany: (card, count, expected) => `[DECK] ⚠️ ${card}: ${count} in the stacked deck, ${expected} in the rules.`,
+    deckSize: (count, expected) => `[DECK] ⚠️ Stacked deck of ${count} cards (rules deck: ${expected}).`,
+    resumed: (round) => `[SAVE] Resuming the saved game (round ${round}).`,
+    resumedScores: (scores) => `[SAVE] Scores: ${scores}`,
+    roundStart: (round, dealer) => `[ROUND ${round}] Round starts. Dealer = ${dealer}`,
+    initialDeal: "[ROUND] Initial deal: 1 card per player.",
+    reshuffle: "[DECK] Draw pile empty → shuffling the discard pile.",
+    noMoreCards: "[DECK] No cards left. Round ends.",
+    turn: (player, state) => `[TURN] ${player} plays. State: ${state}`,
+    card: (player, card, context) => `[CARD] ${player} gets ${card} (${context})`,
+    bust: (player, value) => `[ELIM] ${player} is out of the round (duplicate ${value}).`,
+    secondChanceUsed: (player) => `[SECOND CHANCE] ${player} cancels the duplicate. Card discarded.`,
+    secondChanceKept: (player) => `[SECOND CHANCE] ${player} keeps a SecondChance.`,
+    secondChanceGiven: (player, to) => `[SECOND CHANCE] ${player} already had one: gives it to ${to}.`,
+    secondChanceDiscarded: "[SECOND CHANCE] Nobody can take it: discarded.",
+    freeze: (target) => `[FREEZE] ${target} is frozen: out of the round, round score = 0.`,
+    flipThreeStart: (target) => `[FLIP THREE] ${target} must flip 3 cards.`,
+    flipThreeDraw: (index, target, card) => `[FLIP THREE] Draw ${index}/3 for ${target}: ${card}`,
+    pendingAction: (player, card) => `[PENDING ACTION] ${player} resolves ${card} after FlipThree.`,
+    timeout: (player, seconds, answer) => `[TIMEOUT] ${player} did not answer within ${seconds} s => ${answer}`,
+    stay: (player) => `[STAY] ${player} stays. No more cards this round.`,
+    flip7: (player, size, bonus) => `[FLIP7] ${player} has ${size} distinct numbers! +${bonus} and the round ends.`,
+    roundScoring: (round) => `[ROUND ${round}] Scoring...`,
+    score: (s) =>
+      `[SCORE] ${s.player}: roundScore=${s.roundScore} | total=${s.totalScore} | eliminated=${s.eliminated} | ` +
+      `numbers=[${s.numbers.join(", ")}] | x2=${s.hasX2} | +bonus=${s.plusBonus}`,
+    gameOver: (target) => `[GAME] Game over: a player reached ${target}+.`,
+    winner: (name, score) => `[WINNER] ${name} with ${score} points.`,
+    sharedWin: (names, score) => `[WINNER] Shared win: ${names.join(", ")} with ${score} points.`,
+    tieBreak: (names, score) => `[TIE] Tied for the lead at ${score} points: ${names.join(", ")}. Playoff round between them only.`,
+    tieBreakRounds: (n) => `[TIE] Settled after ${n} playoff round${n > 1 ? "s" : ""}.`,
+    tieBreakLimit: (n) => `[TIE] Still tied after ${n} playoff round${n > 1 ? "s" : ""} (limit reached).`,
+    ranking: "[RANKING] Final ranking:",
+    recordSaved: (file) => `[RECORD] Game recorded: ${file}`,
+
+    // --- Full-screen view (src/TerminalUI.js) ---
+    tuiLocalGame: "local game",
+    tuiNoGame: "No game in progress.",
+    tuiTableInfo: (s) => `Round ${s.round} | Dealer ${s.dealer} | Deck ${s.deck} | Discard ${s.discard} | Target ${s.targetScore}`,
+    tuiScores: (round, total) => `round ${round} | total ${total}`,
+    tuiScrolled: (n) => `log: ${n} line(s) up (PgDn)`,
+    tuiInputHint: "Enter: /command or chat",
+    tuiWaiting: "Waiting for the other players…",
+    tuiHitOrStayKeys: "[h] hit   [s] stay   [a] advice",
+    tuiDuplicate: (player, card) => `${player}, duplicate (${card}):`,
+    tuiSecondChanceKeys: "SecondChance? [y] yes   [n] no",
+  },
+};
+
+const LANGUAGES = Object.keys(MESSAGES);
+
+// Textes d'une langue ; langue inconnue => erreur (liste des langues disponibles)
+function messages(lang = DEFAULT_LANG) {
+  if (!MESSAGES[lang]) throw new Error(`Langue inconnue : ${lang} (disponibles : ${LANGUAGES.join(", ")})`);
+  return MESSAGES[lang];
+}
+
+module.exports = { DEFAULT_LANG, LANGUAGES, messages };
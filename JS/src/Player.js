@@ -7,6 +7,9 @@
 // - doublon de nombre => éliminé du tour (sauf si SecondChance utilisée)
 //
 // Ici on stocke séparément :
+// - row : les VRAIES cartes posées devant le joueur ce tour (Card). Elles restent
+//   sur la table (hors pioche ET hors défausse) jusqu'à la fin du tour, où Game
+//   les défausse : un remélange ne reprend donc jamais une carte encore en jeu.
 // - numbers : nombres distincts obtenus ce tour
 // - modifiers : liste des modificateurs obtenus ce tour (x2, +2 etc.)
 // - secondChance : bool indiquant si le joueur possède une carte seconde chance
@@ -14,6 +17,8 @@
 // totalScore : score total sur la partie (accumulé sur les tours)
 // =======================================================
 
+const Card = require("./Card");
+
 class Player {
   constructor(name) {
     this.name = name;
@@ -21,6 +26,9 @@ class Player {
     // Score total (partie)
     this.totalScore = 0;
 
+    // Qui décide pour ce siège (src/Strategy.js) : attribué par Game
+    this.strategy = null;
+
     // Reset à chaque tour :
     this.resetRoundState();
   }
@@ -41,6 +49,27 @@ class Player {
 
     // Seconde chance (au plus 1 devant soi)
     this.secondChance = false;
+
+    // Cartes posées devant le joueur (défaussées par Game en fin de tour)
+    this.row = [];
+  }
+
+  // Pose une carte dans la rangée du joueur
+  place(card) {
+    this.row.push(card);
+  }
+
+  // Retire de la rangée la première carte (type, value) ; null si absente
+  takeFromRow(type, value) {
+    const idx = this.row.findIndex((c) => c.type === type && c.value === value);
+    return idx === -1 ? null : this.row.splice(idx, 1)[0];
+  }
+
+  // Vide la rangée et renvoie ses cartes (fin de tour)
+  clearRow() {
+    const cards = this.row;
+    this.row = [];
+    return cards;
   }
 
   // Vérifie si un nombre est déjà présent => doublon
@@ -65,14 +94,40 @@ class Player {
   }
 
   // Calcule score du tour (si pas éliminé)
-  computeRoundScore(flip7Bonus = false) {
+  // flip7Bonus : points de bonus Flip 7 à ajouter (rules.flip7Bonus), 0 sinon
+  computeRoundScore(flip7Bonus = 0) {
     if (this.eliminated) return 0;
 
     const sumNumbers = this.numbers.reduce((a, b) => a + b, 0);
     const doubled = this.hasX2 ? sumNumbers * 2 : sumNumbers;
     const base = doubled + this.plusBonus;
-    const bonus = flip7Bonus ? 15 : 0;
-    return base + bonus;
+    return base + flip7Bonus;
+  }
+
+  // État complet (partie + tour) pour la sauvegarde JSON
+  toSaveData() {
+    return {
+      name: this.name,
+      totalScore: this.totalScore,
+      active: this.active,
+      eliminated: this.eliminated,
+      numbers: [...this.numbers],
+      hasX2: this.hasX2,
+      plusBonus: this.plusBonus,
+      secondChance: this.secondChance,
+      row: this.row.map((c) => ({ type: c.type, value: c.value })),
+    };
+  }
+
+  restoreFromSave(data) {
+    this.totalScore = data.totalScore;
+    this.active = data.active;
+    this.eliminated = data.eliminated;
+    this.numbers = [...data.numbers];
+    this.hasX2 = data.hasX2;
+    this.plusBonus = data.plusBonus;
+    this.secondChance = data.secondChance;
+    this.row = data.row.map(Card.fromJSON);
   }
 }
 
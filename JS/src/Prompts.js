@@ -0,0 +1,77 @@
+// src/Prompts.js
+// =======================================================
+// Prompts typés : les questions posées à un joueur humain.
+//
+// Un prompt est un objet { kind, player, ... } :
+//   hitOrStay    { player }                         -> "hit" | "stay" | "advice"
+//   chooseTarget { player, action, candidates }     -> id d'un candidat
+//                  candidates = [{ id, name }] (id = index du siège dans game.players)
+//   secondChance { player, card }                   -> true | false
+//
+// La réponse est toujours une valeur typée. Les interfaces texte (readline local,
+// client terminal, anciens clients TCP) saisissent du texte : parseText()
+// le convertit, validate() vérifie une réponse typée reçue du réseau.
+// =======================================================
+
+const { DEFAULT_LANG, messages } = require("./Messages");
+
+const PROMPT_KINDS = ["hitOrStay", "chooseTarget", "secondChance"];
+const HIT_OR_STAY = ["hit", "stay", "advice"];
+
+// Question lisible (affichée par les interfaces texte), dans la langue lang (src/Messages.js)
+function text(prompt, lang = DEFAULT_LANG) {
+  const m = messages(lang);
+  switch (prompt.kind) {
+    case "hitOrStay":
+      return m.promptHitOrStay(prompt);
+    case "chooseTarget":
+      return m.promptTarget;
+    case "secondChance":
+      return m.promptSecondChance(prompt);
+    default:
+      throw new Error(`Prompt inconnu : ${prompt.kind}`);
+  }
+}
+
+// Texte saisi -> { value } ou { error } (message dans la langue lang)
+// Règles historiques : hit par défaut, SecondChance seulement sur "y".
+function parseText(prompt, input, lang = DEFAULT_LANG) {
+  const answer = String(input).trim().toLowerCase();
+
+  switch (prompt.kind) {
+    case "hitOrStay":
+      if (answer.startsWith("a")) return { value: "advice" };
+      return { value: answer.startsWith("s") ? "stay" : "hit" };
+
+    case "chooseTarget": {
+      const k = parseInt(answer, 10);
+      if (Number.isNaN(k) || k < 1 || k > prompt.candidates.length) return { error: messages(lang).invalidChoice };
+      return { value: prompt.candidates[k - 1].id };
+    }
+
+    case "secondChance":
+      return { value: answer.startsWith("y") };
+
+    default:
+      throw new Error(`Prompt inconnu : ${prompt.kind}`);
+  }
+}
+
+// Réponse typée -> message d'erreur (langue lang), ou null si elle est valide
+function validate(prompt, value, lang = DEFAULT_LANG) {
+  const m = messages(lang);
+  switch (prompt.kind) {
+    case "hitOrStay":
+      return HIT_OR_STAY.includes(value) ? null : m.expectedAnswer(HIT_OR_STAY);
+    case "chooseTarget":
+      return prompt.candidates.some((c) => c.id === value)
+        ? null
+        : m.expectedTarget(prompt.candidates.map((c) => `${c.id} (${c.name})`));
+    case "secondChance":
+      return typeof value === "boolean" ? null : m.expectedAnswer(["true", "false"]);
+    default:
+      return m.unknownPrompt(prompt.kind);
+  }
+}
+
+module.exports = { PROMPT_KINDS, text, parseText, validate };
@@ -0,0 +1,61 @@
+// src/Random.js
+// =======================================================
+// Générateur pseudo-aléatoire "seedable" (mulberry32).
+//
+// Pourquoi ?
+// - Math.random ne peut pas être rejoué : impossible de reproduire
+//   une partie, un bug ou une comparaison d'IA.
+// - Avec une seed, la même seed + les mêmes décisions
+//   redonnent exactement les mêmes cartes.
+//
+// Interface minimale attendue d'un "RNG" :
+// - next() : nombre dans [0, 1)
+//
+// La seed peut être un nombre ou une chaîne (hashée en 32 bits).
+// =======================================================
+
+class Random {
+  constructor(seed = Random.randomSeed()) {
+    this.seed = Random.normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  // Convertit une seed (nombre ou texte) en entier 32 bits non signé
+  static normalizeSeed(seed) {
+    if (typeof seed === "number" && Number.isFinite(seed)) return seed >>> 0;
+
+    const text = String(seed);
+    if (/^\d+$/.test(text)) return Number(text) >>> 0;
+
+    // Hash FNV-1a pour les seeds textuelles ("partie-du-jeudi")
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      h ^= text.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  // Seed aléatoire (quand l'utilisateur n'en fournit pas)
+  static randomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  // Accepte une seed OU un objet RNG déjà construit
+  static from(seedOrRng) {
+    if (seedOrRng && typeof seedOrRng.next === "function") return seedOrRng;
+    if (seedOrRng === undefined || seedOrRng === null) return new Random();
+    return new Random(seedOrRng);
+  }
+
+  // mulberry32 : rapide, période 2^32, suffisant pour mélanger 94 cartes
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+}
+
+module.exports = Random;
@@ -0,0 +1,202 @@
+// src/Rules.js
+// =======================================================
+// Règles de la partie (variantes, règles maison).
+//
+// Tout ce qui était écrit "en dur" dans le moteur est ici :
+// - targetScore        : score de fin de partie (200)
+// - flip7Size          : nombres distincts pour un Flip 7 (7)
+// - flip7Bonus         : bonus du Flip 7 (+15)
+// - numbers            : exemplaires de chaque nombre 0..12 ({ "12": 12, ..., "0": 1 })
+// - actions            : exemplaires de Freeze / FlipThree / SecondChance (0 = absente)
+// - modifiers          : exemplaires de x2 / +2 / +4 / +6 / +8 / +10 (0 = absent)
+// - extraSecondChance  : seconde SecondChance tirée par un joueur qui en a déjà une :
+//     "give"    => donnée à un joueur actif qui n'en a pas, au choix de celui qui l'a tirée
+//                  (sinon défaussée)
+//     "discard" => défaussée
+// - tieBreak           : égalité en tête en fin de partie :
+//     "playoff" => tours de départage entre les seuls joueurs à égalité
+//     "shared"  => victoire partagée
+// - maxTieBreakRounds  : tours de départage au plus ; encore à égalité après => victoire partagée
+//
+// Un fichier JSON de règles n'a besoin que des champs modifiés : il est fusionné
+// avec les règles standard, puis validé (Rules.validate liste TOUTES les erreurs).
+// Les règles sont affichées au début de la partie ([RULES]), écrites dans
+// le record et dans la sauvegarde.
+// =======================================================
+
+const fs = require("fs");
+const { DEFAULT_LANG, messages } = require("./Messages");
+
+const NUMBER_VALUES = [12, 11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1, 0];
+const ACTION_NAMES = ["Freeze", "FlipThree", "SecondChance"];
+const MODIFIER_NAMES = ["x2", "2", "4", "6", "8", "10"];
+const EXTRA_SECOND_CHANCE = ["give", "discard"];
+const TIE_BREAK = ["playoff", "shared"];
+
+function isCount(v) {
+  return Number.isInteger(v) && v >= 0;
+}
+
+class Rules {
+  // Règles officielles (deck de 94 cartes)
+  static defaults() {
+    const numbers = {};
+    NUMBER_VALUES.forEach((v) => (numbers[v] = v === 0 ? 1 : v));
+
+    return {
+      targetScore: 200,
+      flip7Size: 7,
+      flip7Bonus: 15,
+      numbers,
+      actions: { Freeze: 3, FlipThree: 3, SecondChance: 3 },
+      modifiers: { x2: 1, 2: 1, 4: 1, 6: 1, 8: 1, 10: 1 },
+      extraSecondChance: "give",
+      tieBreak: "playoff",
+      maxTieBreakRounds: 10,
+    };
+  }
+
+  // overrides : objet partiel (fichier JSON, sauvegarde, record)
+  constructor(overrides = {}) {
+    const base = Rules.defaults();
+    const data = {
+      ...base,
+      ...overrides,
+      numbers: { ...base.numbers, ...(overrides.numbers || {}) },
+      actions: { ...base.actions, ...(overrides.actions || {}) },
+      modifiers: { ...base.modifiers, ...(overrides.modifiers || {}) },
+    };
+
+    const errors = Rules.validate(data);
+    if (errors.length > 0) {
+      throw new Error(`Règles invalides :\n  - ${errors.join("\n  - ")}`);
+    }
+
+    Object.assign(this, data);
+  }
+
+  // Accepte une instance, un objet partiel ou rien (règles standard)
+  static from(rulesOrObject) {
+    if (rulesOrObject instanceof Rules) return rulesOrObject;
+    return new Rules(rulesOrObject || {});
+  }
+
+  static load(file) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, "utf-8"));
+    } catch (err) {
+      throw new Error(`Impossible de lire les règles ${file} : ${err.message}`);
+    }
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      throw new Error(`${file} : un objet JSON de règles est attendu.`);
+    }
+    return new Rules(data);
+  }
+
+  // Retourne la liste des erreurs (vide si les règles sont valides)
+  static validate(data) {
+    const errors = [];
+    const known = Object.keys(Rules.defaults());
+
+    Object.keys(data).forEach((k) => {
+      if (!known.includes(k)) errors.push(`champ inconnu "${k}"`);
+    });
+
+    if (!Number.isInteger(data.targetScore) || data.targetScore < 1) {
+      errors.push("targetScore doit être un entier >= 1");
+    }
+    if (!Number.isInteger(data.flip7Size) || data.flip7Size < 1 || data.flip7Size > NUMBER_VALUES.length) {
+      errors.push(`flip7Size doit être un entier entre 1 et ${NUMBER_VALUES.length}`);
+    }
+    if (!isCount(data.flip7Bonus)) errors.push("flip7Bonus doit être un entier >= 0");
+
+    const checkCounts = (field, names) => {
+      const obj = data[field];
+      if (!obj || typeof obj !== "object" || Array.isArray(obj)) {
+        errors.push(`${field} doit être un objet { carte: exemplaires }`);
+        return;
+      }
+      Object.entries(obj).forEach(([name, count]) => {
+        if (!names.includes(String(name))) errors.push(`${field} : carte inconnue "${name}" (${names.join(", ")})`);
+        else if (!isCount(count)) errors.push(`${field}.${name} doit être un entier >= 0`);
+      });
+    };
+    checkCounts("numbers", NUMBER_VALUES.map(String));
+    checkCounts("actions", ACTION_NAMES);
+    checkCounts("modifiers", MODIFIER_NAMES);
+
+    if (!EXTRA_SECOND_CHANCE.includes(data.extraSecondChance)) {
+      errors.push(`extraSecondChance doit valoir ${EXTRA_SECOND_CHANCE.map((x) => `"${x}"`).join(" ou ")}`);
+    }
+    if (!TIE_BREAK.includes(data.tieBreak)) {
+      errors.push(`tieBreak doit valoir ${TIE_BREAK.map((x) => `"${x}"`).join(" ou ")}`);
+    }
+
+    // Un Flip 7 doit rester possible
+    if (errors.length === 0) {
+      const distinct = NUMBER_VALUES.filter((v) => data.numbers[v] > 0).length;
+      if (distinct < data.flip7Size) {
+        errors.push(`flip7Size=${data.flip7Size} impossible : seulement ${distinct} valeurs de nombres dans le deck`);
+      }
+    }
+
+    // Départage borné : au moins un tour avant la victoire partagée
+    if (!Number.isInteger(data.maxTieBreakRounds) || data.maxTieBreakRounds < 1) {
+      errors.push("maxTieBreakRounds doit être un entier >= 1");
+    }
+
+    return errors;
+  }
+
+  // Composition du deck : [{ type, value, count }] dans l'ordre de construction
+  deckComposition() {
+    return [
+      ...NUMBER_VALUES.map((v) => ({ type: "number", value: v, count: this.numbers[v] })),
+      ...ACTION_NAMES.map((a) => ({ type: "action", value: a, count: this.actions[a] })),
+      ...MODIFIER_NAMES.map((m) => ({ type: "modifier", value: m === "x2" ? m : Number(m), count: this.modifiers[m] })),
+    ].filter((c) => c.count > 0);
+  }
+
+  deckSize() {
+    return this.deckComposition().reduce((n, c) => n + c.count, 0);
+  }
+
+  // Différences avec les règles standard (pour l'affichage)
+  differences() {
+    const base = Rules.defaults();
+    const diffs = [];
+    ["targetScore", "flip7Size", "flip7Bonus", "extraSecondChance", "tieBreak", "maxTieBreakRounds"].forEach((k) => {
+      if (this[k] !== base[k]) diffs.push(`${k}=${this[k]}`);
+    });
+    ["numbers", "actions", "modifiers"].forEach((group) => {
+      Object.keys(base[group]).forEach((k) => {
+        if (this[group][k] !== base[group][k]) diffs.push(`${group}.${k}=${this[group][k]}`);
+      });
+    });
+    return diffs;
+  }
+
+  // Lignes lisibles (début de partie), dans la langue lang (src/Messages.js)
+  describe(lang = DEFAULT_LANG) {
+    const m = messages(lang);
+    const diffs = this.differences();
+    return [m.rulesTarget(this), m.rulesDeck(this, this.deckSize()), diffs.length === 0 ? m.rulesStandard : m.rulesCustom(diffs)];
+  }
+
+  toJSON() {
+    return {
+      targetScore: this.targetScore,
+      flip7Size: this.flip7Size,
+      flip7Bonus: this.flip7Bonus,
+      numbers: { ...this.numbers },
+      actions: { ...this.actions },
+      modifiers: { ...this.modifiers },
+      extraSecondChance: this.extraSecondChance,
+      tieBreak: this.tieBreak,
+      maxTieBreakRounds: this.maxTieBreakRounds,
+    };
+  }
+}
+
+module.exports = Rules;
@@ -0,0 +1,57 @@
+// src/SaveGame.js
+// =======================================================
+// Sauvegarde / reprise d'une partie en cours (fichier JSON).
+//
+// Game.toSaveData() produit l'état complet (deck, défausse, donneur,
+// numéro de tour, joueur dont c'est le tour, état de chaque joueur,
+// état du RNG, record en cours). Game sauvegarde au début de chaque tour
+// de joueur, donc après chaque décision hit/stay entièrement résolue.
+//
+// Ce module ne gère que le fichier :
+// - write()  : écriture atomique (fichier temporaire + rename)
+// - read()   : lecture + vérification du format
+// - remove() : suppression en fin de partie
+// =======================================================
+
+const fs = require("fs");
+const path = require("path");
+
+const SAVE_FORMAT = "flip7-save";
+const SAVE_VERSION = 2; // 2 : rangées de cartes des joueurs (Player.row)
+
+class SaveGame {
+  static defaultPath(name = "savegame") {
+    return path.join(__dirname, "..", "logs", `${name}.json`);
+  }
+
+  static exists(file) {
+    return fs.existsSync(file);
+  }
+
+  static write(file, data) {
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+    // Écriture atomique : un crash pendant l'écriture ne corrompt pas la sauvegarde
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ format: SAVE_FORMAT, version: SAVE_VERSION, ...data }), "utf-8");
+    fs.renameSync(tmp, file);
+  }
+
+  static read(file) {
+    const data = JSON.parse(fs.readFileSync(file, "utf-8"));
+    if (data.format !== SAVE_FORMAT) {
+      throw new Error(`${file} n'est pas une sauvegarde Flip 7 (format=${data.format}).`);
+    }
+    if (data.version !== SAVE_VERSION) {
+      throw new Error(`Version de sauvegarde non supportée : ${data.version} (attendu ${SAVE_VERSION}).`);
+    }
+    return data;
+  }
+
+  static remove(file) {
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+  }
+}
+
+module.exports = SaveGame;
@@ -0,0 +1,127 @@
+// src/Simulation.js
+// =======================================================
+// Simulation "headless" : N parties entre bots, sans log ni prompt.
+//
+// - Chaque partie est un Game normal (mêmes règles, mêmes stratégies)
+//   avec textLog/record désactivés et un io muet.
+// - Seeds : seedDeBase + i pour la partie i => une simulation est rejouable.
+// - L'ordre des sièges tourne d'une partie à l'autre (le joueur 1 joue
+//   toujours en premier dans un tour : on évite ce biais).
+// - Les statistiques sont collectées via les événements de Game.
+//
+// Statistiques par stratégie (une entrée par siège demandé) :
+// - taux de victoire, moyenne et variance du score final
+// - taux de bust, taux de Flip 7, score moyen par tour (tours joués : un siège
+//   hors d'un départage n'y joue pas)
+// Globales : nombre moyen de tours par partie.
+// =======================================================
+
+const Game = require("./Game");
+const Random = require("./Random");
+const Rules = require("./Rules");
+const { createStrategy } = require("./Strategy");
+
+function mean(values) {
+  return values.length === 0 ? 0 : values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function variance(values) {
+  if (values.length === 0) return 0;
+  const m = mean(values);
+  return mean(values.map((v) => (v - m) ** 2));
+}
+
+class Simulation {
+  // specs : [{ type: "threshold", threshold: 4 }, { type: "advisor" }, ...] (un par siège)
+  constructor(specs, options = {}) {
+    if (!Array.isArray(specs) || specs.length < 2) {
+      throw new Error("Simulation : il faut au moins 2 stratégies (une par siège).");
+    }
+    if (specs.some((spec) => spec.type === "human")) {
+      throw new Error("Simulation : uniquement des bots (pas de siège humain).");
+    }
+
+    this.specs = specs;
+    this.games = options.games || 100;
+    this.baseSeed = Random.normalizeSeed(options.seed ?? Random.randomSeed());
+    this.rules = Rules.from(options.rules);
+    this.onProgress = options.onProgress || null;
+
+    // Nom lisible et unique par siège : "bot seuil 4 #1"
+    this.labels = specs.map((spec, i) => `${createStrategy(spec).label} #${i + 1}`);
+  }
+
+  async run() {
+    const stats = this.labels.map((label) => ({
+      label,
+      wins: 0,
+      finalScores: [],
+      rounds: 0,
+      busts: 0,
+      flip7s: 0,
+      roundScoreSum: 0,
+    }));
+    const roundsPerGame = [];
+    const silentIo = { log: () => {} };
+
+    for (let g = 0; g < this.games; g++) {
+      // Rotation des sièges : le siège k de cette partie = spec (k + g) % n
+      const n = this.specs.length;
+      const order = this.specs.map((_, k) => (k + g) % n);
+
+      const game = new Game(
+        order.map((i) => this.labels[i]),
+        {
+          strategies: order.map((i) => this.specs[i]),
+          seed: (this.baseSeed + g) >>> 0,
+          rules: this.rules,
+          io: silentIo,
+          textLog: false,
+          record: false,
+        }
+      );
+
+      const statOf = (name) => stats[this.labels.indexOf(name)];
+      let rounds = 0;
+
+      game.on("bust", (e) => statOf(e.player).busts++);
+      game.on("flip7", (e) => statOf(e.player).flip7s++);
+      game.on("roundScored", (e) => {
+        rounds++;
+        // Tour de départage : seuls les ex aequo ont joué (les autres marquent 0 sans jouer)
+        const dealt = (s) => !game.tieBreakPlayers || game.tieBreakPlayers.includes(s.player);
+        e.scores.filter(dealt).forEach((s) => {
+          const st = statOf(s.player);
+          st.rounds++;
+          st.roundScoreSum += s.roundScore;
+        });
+      });
+      game.on("gameOver", (e) => {
+        e.winners.forEach((w) => (statOf(w).wins += 1 / e.winners.length)); // victoire partagée : fractions
+        e.ranking.forEach((r) => statOf(r.player).finalScores.push(r.totalScore));
+      });
+
+      await game.start();
+      roundsPerGame.push(rounds);
+
+      if (this.onProgress) this.onProgress(g + 1, this.games);
+    }
+
+    return {
+      games: this.games,
+      baseSeed: this.baseSeed,
+      averageRounds: mean(roundsPerGame),
+      strategies: stats.map((st) => ({
+        label: st.label,
+        winRate: st.wins / this.games,
+        meanFinalScore: mean(st.finalScores),
+        varianceFinalScore: variance(st.finalScores),
+        bustRate: st.rounds ? st.busts / st.rounds : 0,
+        flip7Rate: st.rounds ? st.flip7s / st.rounds : 0,
+        averageRoundScore: st.rounds ? st.roundScoreSum / st.rounds : 0,
+      })),
+    };
+  }
+}
+
+module.exports = Simulation;
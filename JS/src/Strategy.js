@@ -0,0 +1,270 @@
+// src/Strategy.js
+// =======================================================
+// Stratégies de joueur : QUI prend les décisions d'un siège.
+//
+// Interface (toutes les méthodes peuvent être async) :
+// - decideHitOrStay(game, player)                   -> "hit" | "stay"
+// - chooseTarget(game, actor, candidates, action)   -> un Player de candidates
+//     action = "Freeze" | "FlipThree" | "SecondChance" (carte à l'origine du choix ;
+//     "SecondChance" = SecondChance en trop à donner, candidates = joueurs actifs qui n'en ont pas)
+// - useSecondChance(game, player, card)             -> true | false
+// - toJSON()                                        -> { type, ... } (sauvegarde)
+//
+// Implémentations fournies :
+// - HumanStrategy     : prompt (readline en local, client TCP en réseau)
+// - ThresholdStrategy : "stay dès que nombres distincts >= seuil" (ancien mode auto)
+// - AdvisorStrategy   : suit le conseil de l'IA (game.computeAdviceForPlayer)
+//
+// Chaque Player a sa propre stratégie : humains et bots partagent la table.
+// Une stratégie peut être remplacée en cours de partie (joueur réseau parti) :
+// HumanStrategy passe alors la main à la nouvelle stratégie après un prompt.
+// =======================================================
+
+class Strategy {
+  constructor(label) {
+    this.label = label;
+  }
+
+  async decideHitOrStay() {
+    throw new Error(`${this.constructor.name}.decideHitOrStay() non implémenté`);
+  }
+
+  async chooseTarget() {
+    throw new Error(`${this.constructor.name}.chooseTarget() non implémenté`);
+  }
+
+  async useSecondChance() {
+    throw new Error(`${this.constructor.name}.useSecondChance() non implémenté`);
+  }
+
+  toJSON() {
+    throw new Error(`${this.constructor.name}.toJSON() non implémenté`);
+  }
+}
+
+// -------------------------------------------------------
+// Cible "bot" : l'adversaire le mieux placé (total + score du tour en cours).
+// On ne se cible soi-même que si on est le seul candidat.
+// -------------------------------------------------------
+function pickLeadingOpponent(actor, candidates) {
+  const others = candidates.filter((p) => p !== actor);
+  const pool = others.length > 0 ? others : candidates;
+
+  return pool.reduce((best, p) => {
+    const v = p.totalScore + p.computeRoundScore();
+    const bv = best.totalScore + best.computeRoundScore();
+    return v > bv ? p : best;
+  });
+}
+
+// Bots : Freeze / FlipThree sur l'adversaire en tête, SecondChance en trop au dernier
+function pickBotTarget(actor, candidates, action) {
+  if (action !== "SecondChance") return pickLeadingOpponent(actor, candidates);
+
+  return candidates.reduce((last, p) => {
+    const v = p.totalScore + p.computeRoundScore();
+    const lv = last.totalScore + last.computeRoundScore();
+    return v < lv ? p : last;
+  });
+}
+
+// =======================================================
+// Humain : prompts typés (le routage local / TCP est fait par game.prompt)
+// =======================================================
+class HumanStrategy extends Strategy {
+  constructor() {
+    super("humain");
+  }
+
+  async decideHitOrStay(game, p) {
+    while (true) {
+      // Prompt typé (src/Prompts.js), routé vers le client de p en TCP
+      const choice = await game.prompt({ kind: "hitOrStay", player: p.name }, { answer: "stay", label: "STAY" });
+      if (p.strategy !== this) return p.strategy.decideHitOrStay(game, p); // siège repris (joueur parti)
+
+      if (choice === "advice") {
+        const m = game.messages;
+        const adv = game.computeAdviceForPlayer(p);
+        if (!adv.details || !adv.details.plans) {
+          game.log(m.advice(adv));
+        } else {
+          const d = adv.details;
+          game.log(
+            `${m.advice(adv)}\n` +
+              `     P(bust)≈${d.pBustRaw} | stay=${d.scoreStay} | E(hit 1 coup)≈${d.expectedHitScore} | deck=${d.remainingCards}\n` +
+              `     ${m.adviceCards(d.tracking)}\n` +
+              `     Optimal: ${d.optimal.action} | E≈${d.optimal.ev} | P(Flip7)≈${d.optimal.pFlip7} | P(bust)≈${d.optimal.pBust}\n` +
+              `     ${m.advicePlans}: ${d.plans.map((pl) => `${pl.target} ${m.numbersWord}→${pl.ev}`).join(" | ")}\n` +
+              `     ${m.adviceBestPlan(d.bestPlan)}` +
+              d.factors.map((f) => `\n     ${m.adviceFactor(f)}`).join("") +
+              (d.baseSuggestion ? `\n     ${m.adviceNoFactor(d.baseSuggestion)}` : "")
+          );
+        }
+        continue; // redemande hit/stay
+      }
+
+      return choice;
+    }
+  }
+
+  async chooseTarget(game, actor, candidates, action) {
+    game.log(game.messages.chooseTarget(actor.name, action));
+    candidates.forEach((p, idx) => game.log(`  ${idx + 1}) ${p.name}`));
+
+    // Candidats identifiés par leur siège (index dans game.players)
+    const prompt = {
+      kind: "chooseTarget",
+      player: actor.name,
+      action,
+      candidates: candidates.map((p) => ({ id: game.players.indexOf(p), name: p.name })),
+    };
+
+    // Temps écoulé (réseau) : cible valide au hasard
+    const random = candidates[Math.floor(Math.random() * candidates.length)];
+    const id = await game.prompt(prompt, { answer: game.players.indexOf(random), label: game.messages.timeoutRandomTarget(random.name) });
+
+    if (actor.strategy !== this) return actor.strategy.chooseTarget(game, actor, candidates, action);
+    return game.players[id];
+  }
+
+  async useSecondChance(game, player, card) {
+    const use = await game.prompt(
+      { kind: "secondChance", player: player.name, card: card.value },
+      { answer: true, label: game.messages.timeoutSecondChance }
+    );
+    if (player.strategy !== this) return player.strategy.useSecondChance(game, player, card);
+    return use;
+  }
+
+  toJSON() {
+    return { type: "human" };
+  }
+}
+
+// =======================================================
+// Bot à seuil : stay dès que countDistinctNumbers() >= threshold
+// =======================================================
+class ThresholdStrategy extends Strategy {
+  constructor(threshold = 4) {
+    super(`bot seuil ${threshold}`);
+    this.threshold = threshold;
+  }
+
+  async decideHitOrStay(game, p) {
+    const n = p.countDistinctNumbers();
+    if (n >= this.threshold) {
+      game.log(game.messages.autoThresholdStay(p.name, n, this.threshold));
+      return "stay";
+    }
+    game.log(game.messages.autoThresholdHit(p.name, n, this.threshold));
+    return "hit";
+  }
+
+  async chooseTarget(game, actor, candidates, action) {
+    return pickBotTarget(actor, candidates, action);
+  }
+
+  async useSecondChance() {
+    return true;
+  }
+
+  toJSON() {
+    return { type: "threshold", threshold: this.threshold };
+  }
+}
+
+// =======================================================
+// Bot "espérance" : suit la recommandation de l'IA conseillère
+// =======================================================
+// Profondeur par défaut des bots : une décision par tour de bot, des milliers
+// en simulation ; avec tous les facteurs (actions, adversaires) 5 coups est lent.
+const BOT_MAX_DRAWS = 4;
+
+class AdvisorStrategy extends Strategy {
+  // maxDraws : profondeur du lookahead (défaut : BOT_MAX_DRAWS)
+  constructor(maxDraws = null) {
+    super(maxDraws !== null ? `bot espérance prof. ${maxDraws}` : "bot espérance");
+    this.maxDraws = maxDraws;
+  }
+
+  async decideHitOrStay(game, p) {
+    // Le bot n'a besoin que de la politique optimale (ni plans fixes, ni explication)
+    const adv = game.computeAdviceForPlayer(p, {
+      plans: false,
+      explain: false,
+      maxDraws: this.maxDraws ?? BOT_MAX_DRAWS,
+    });
+    game.log(game.messages.autoAdvisor(p.name, adv.suggestion));
+    return adv.suggestion === "HIT" ? "hit" : "stay";
+  }
+
+  async chooseTarget(game, actor, candidates, action) {
+    return pickBotTarget(actor, candidates, action);
+  }
+
+  async useSecondChance() {
+    return true;
+  }
+
+  toJSON() {
+    return this.maxDraws !== null ? { type: "advisor", maxDraws: this.maxDraws } : { type: "advisor" };
+  }
+}
+
+// -------------------------------------------------------
+// Fabrique : { type: "human" | "threshold" | "advisor", threshold? } -> Strategy
+// -------------------------------------------------------
+function createStrategy(spec) {
+  switch (spec && spec.type) {
+    case "human":
+      return new HumanStrategy();
+    case "threshold":
+      return new ThresholdStrategy(typeof spec.threshold === "number" ? spec.threshold : 4);
+    case "advisor":
+      return new AdvisorStrategy(typeof spec.maxDraws === "number" ? spec.maxDraws : null);
+    default:
+      throw new Error(`Stratégie inconnue : ${JSON.stringify(spec)}`);
+  }
+}
+
+// -------------------------------------------------------
+// Siège décrit en ligne de commande -> spec de createStrategy
+//   "threshold:4" -> { type: "threshold", threshold: 4 } ; "advisor:3" -> { type: "advisor", maxDraws: 3 }
+//   "human" seulement si options.human (index.js ; pas en simulation)
+//   options.threshold : seuil de "threshold" sans ":N" (null => { type } : seuil à demander)
+// -------------------------------------------------------
+function parseStrategySpec(text, rules, options = {}) {
+  const [type, param] = text.trim().split(":");
+  const defaultThreshold = options.threshold !== undefined ? options.threshold : 4;
+
+  if (type === "human" && options.human && param === undefined) return { type };
+
+  if (type === "threshold") {
+    if (param === undefined && defaultThreshold === null) return { type };
+    const threshold = parseInt(param === undefined ? String(defaultThreshold) : param, 10);
+    if (Number.isNaN(threshold) || threshold < 1 || threshold > rules.flip7Size) {
+      throw new Error(`Seuil invalide dans "${text}" (1 à ${rules.flip7Size}).`);
+    }
+    return { type, threshold };
+  }
+  if (type === "advisor") {
+    if (param === undefined) return { type };
+    const maxDraws = parseInt(param, 10);
+    if (Number.isNaN(maxDraws) || maxDraws < 1 || maxDraws > 7) {
+      throw new Error(`Profondeur invalide dans "${text}" (1 à 7).`);
+    }
+    return { type, maxDraws };
+  }
+
+  const known = options.human ? "human, threshold:N, advisor ou advisor:D" : "threshold:N, advisor ou advisor:D";
+  throw new Error(`Stratégie inconnue : "${text}" (${known}).`);
+}
+
+module.exports = {
+  Strategy,
+  HumanStrategy,
+  ThresholdStrategy,
+  AdvisorStrategy,
+  createStrategy,
+  parseStrategySpec,
+};
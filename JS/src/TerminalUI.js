@@ -0,0 +1,338 @@
+// src/TerminalUI.js
+// =======================================================
+// Vue plein écran du terminal (option --tui de index.js et net/client.js).
+//
+//   ┌ en-tête : titre, statut, manche / donneur / pioche / défausse
+//   ├ table   : une ligne par joueur (nombres, modificateurs, SecondChance,
+//   │           score de la manche, total, état)
+//   ├ journal : les derniers événements (PgUp / PgDn pour remonter)
+//   └ pied    : touches du prompt en cours, ou ligne de saisie (commandes, chat)
+//
+// La vue ne connaît pas le moteur : elle affiche un état public de la table
+// (Game.snapshot(), reçu tel quel en réseau) et répond aux prompts typés
+// (src/Prompts.js) avec une seule touche :
+//   hitOrStay h / s / a | chooseTarget 1..9, 0 | secondChance y / n
+//
+// Textes dans la langue options.lang (src/Messages.js) ; les touches ne changent pas.
+// Ctrl+C restaure le terminal et quitte.
+// =======================================================
+
+const readline = require("readline");
+const { DEFAULT_LANG, messages } = require("./Messages");
+
+const ESC = "\x1b[";
+const ANSI = {
+  altScreenOn: `${ESC}?1049h`,
+  altScreenOff: `${ESC}?1049l`,
+  hideCursor: `${ESC}?25l`,
+  showCursor: `${ESC}?25h`,
+  home: `${ESC}H`,
+  clearLine: `${ESC}K`,
+  clearBelow: `${ESC}J`,
+  reset: `${ESC}0m`,
+  bold: `${ESC}1m`,
+  dim: `${ESC}2m`,
+  red: `${ESC}31m`,
+  green: `${ESC}32m`,
+  yellow: `${ESC}33m`,
+  cyan: `${ESC}36m`,
+  inverse: `${ESC}7m`,
+};
+
+const MAX_EVENTS = 500; // lignes gardées dans le journal
+const TARGET_KEYS = ["1", "2", "3", "4", "5", "6", "7", "8", "9", "0"];
+
+// Longueur affichée (sans les séquences ANSI)
+function visibleLength(text) {
+  return [...text.replace(/\x1b\[[0-9;?]*[A-Za-z]/g, "")].length;
+}
+
+// Coupe une ligne à la largeur du terminal (texte sans ANSI)
+function fit(text, width) {
+  const chars = [...text];
+  return chars.length <= width ? text : chars.slice(0, Math.max(0, width - 1)).join("") + "…";
+}
+
+function color(code, text) {
+  return `${code}${text}${ANSI.reset}`;
+}
+
+class TerminalUI {
+  // options : { title, input, output, lang }
+  constructor(options = {}) {
+    this.title = options.title || "Flip 7";
+    this.m = messages(options.lang || DEFAULT_LANG);
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+
+    this.status = "";
+    this.state = null; // dernier Game.snapshot()
+    this.events = [];
+    this.scroll = 0; // lignes remontées dans le journal (0 = les plus récentes)
+
+    this.pending = null; // { prompt, resolve } : prompt typé en attente d'une touche
+    this.lineHandler = null; // saisie libre hors prompt (client réseau)
+    this.line = "";
+
+    this.started = false;
+    this.renderScheduled = false;
+    this.onKeypress = (str, key) => this.keypress(str, key || {});
+    this.onResize = () => this.render();
+  }
+
+  // La vue a besoin d'un vrai terminal (touches une par une)
+  static isSupported(input = process.stdin, output = process.stdout) {
+    return Boolean(input.isTTY && output.isTTY);
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    readline.emitKeypressEvents(this.input);
+    this.input.setRawMode(true);
+    this.input.on("keypress", this.onKeypress);
+    this.input.resume();
+    this.output.on("resize", this.onResize);
+
+    this.output.write(ANSI.altScreenOn + ANSI.hideCursor);
+    this.render();
+  }
+
+  // Restaure le terminal ; les derniers événements restent affichés
+  stop() {
+    if (!this.started) return;
+    this.started = false;
+
+    this.input.off("keypress", this.onKeypress);
+    this.input.setRawMode(false);
+    this.input.pause();
+    this.output.off("resize", this.onResize);
+
+    this.output.write(ANSI.showCursor + ANSI.altScreenOff);
+    this.events.slice(-10).forEach((line) => this.output.write(line + "\n"));
+  }
+
+  // ==========================================================================
+  // Contenu
+  // ==========================================================================
+  setStatus(text) {
+    this.status = text;
+    this.scheduleRender();
+  }
+
+  setState(state) {
+    this.state = state;
+    this.scheduleRender();
+  }
+
+  log(text) {
+    String(text)
+      .replace(/\n+$/, "")
+      .split("\n")
+      .forEach((line) => this.events.push(line));
+    if (this.events.length > MAX_EVENTS) this.events.splice(0, this.events.length - MAX_EVENTS);
+    this.scheduleRender();
+  }
+
+  // io de Game (partie locale) : journal dans la vue, prompts à une touche.
+  // log(text) : copie facultative du journal (fichier).
+  gameIO(log = null) {
+    return {
+      log: (text) => {
+        if (log) log(text);
+        this.log(text);
+      },
+      prompt: (playerName, prompt) => this.ask(prompt),
+      close: () => this.stop(),
+    };
+  }
+
+  // ==========================================================================
+  // Saisie
+  // ==========================================================================
+  // Prompt typé -> réponse typée (null si annulé : cancelPrompt)
+  ask(prompt) {
+    this.cancelPrompt();
+    return new Promise((resolve) => {
+      this.pending = { prompt, resolve };
+      this.scheduleRender();
+    });
+  }
+
+  cancelPrompt() {
+    if (!this.pending) return;
+    const { resolve } = this.pending;
+    this.pending = null;
+    resolve(null);
+    this.scheduleRender();
+  }
+
+  // handler(ligne) : appelé sur Entrée, hors prompt
+  onLine(handler) {
+    this.lineHandler = handler;
+    this.scheduleRender();
+  }
+
+  keypress(str, key) {
+    if (key.ctrl && key.name === "c") {
+      this.stop();
+      process.exit(130);
+    }
+
+    if (key.name === "pageup") this.scroll = Math.min(this.scroll + this.eventRows(), Math.max(0, this.events.length - 1));
+    else if (key.name === "pagedown") this.scroll = Math.max(0, this.scroll - this.eventRows());
+    else if (this.pending) this.answerKey(str);
+    else if (this.lineHandler) this.editLine(str, key);
+    this.scheduleRender();
+  }
+
+  answerKey(str) {
+    const k = String(str || "").toLowerCase();
+    const { prompt } = this.pending;
+    let value;
+
+    switch (prompt.kind) {
+      case "hitOrStay":
+        value = { h: "hit", s: "stay", a: "advice" }[k];
+        break;
+      case "chooseTarget": {
+        const c = prompt.candidates[TARGET_KEYS.indexOf(k)];
+        value = c ? c.id : undefined;
+        break;
+      }
+      case "secondChance":
+        value = { y: true, o: true, n: false }[k];
+        break;
+      default:
+        value = undefined;
+    }
+    if (value === undefined) return;
+
+    const { resolve } = this.pending;
+    this.pending = null;
+    resolve(value);
+  }
+
+  editLine(str, key) {
+    if (key.name === "return" || key.name === "enter") {
+      const line = this.line;
+      this.line = "";
+      this.lineHandler(line);
+    } else if (key.name === "backspace") {
+      this.line = [...this.line].slice(0, -1).join("");
+    } else if (key.name === "escape") {
+      this.line = "";
+    } else if (str && !key.ctrl && !key.meta && str >= " ") {
+      this.line += str;
+    }
+  }
+
+  // ==========================================================================
+  // Rendu
+  // ==========================================================================
+  scheduleRender() {
+    if (!this.started || this.renderScheduled) return;
+    this.renderScheduled = true;
+    setImmediate(() => {
+      this.renderScheduled = false;
+      this.render();
+    });
+  }
+
+  size() {
+    return { width: this.output.columns || 80, height: this.output.rows || 24 };
+  }
+
+  tableRows() {
+    return this.state ? this.state.players.length : 1;
+  }
+
+  // Lignes disponibles pour le journal : le reste de l'écran
+  eventRows() {
+    const footer = this.lineHandler ? 2 : 1;
+    return Math.max(3, this.size().height - (2 + 1 + this.tableRows() + 1 + 1 + footer));
+  }
+
+  render() {
+    if (!this.started) return;
+    const { width } = this.size();
+    const rule = color(ANSI.dim, "─".repeat(width));
+    const lines = [];
+
+    // En-tête
+    const title = color(ANSI.bold, ` FLIP 7 — ${this.title}`);
+    const status = this.status ? ` ${this.status} ` : "";
+    const gap = Math.max(1, width - visibleLength(title) - visibleLength(status));
+    lines.push(title + " ".repeat(gap) + color(ANSI.dim, status));
+    lines.push(this.state ? this.tableInfo() : color(ANSI.dim, ` ${this.m.tuiNoGame}`));
+    lines.push(rule);
+
+    // Table
+    if (this.state) this.state.players.forEach((p) => lines.push(this.playerLine(p, width)));
+    else lines.push("");
+    lines.push(rule);
+
+    // Journal
+    const rows = this.eventRows();
+    const end = this.events.length - this.scroll;
+    const shown = this.events.slice(Math.max(0, end - rows), end).map((l) => fit(l, width));
+    while (shown.length < rows) shown.unshift("");
+    lines.push(...shown);
+    lines.push(this.scroll > 0 ? color(ANSI.dim, `─── ${this.m.tuiScrolled(this.scroll)} ───`) : rule);
+
+    // Pied
+    lines.push(this.promptLine());
+    if (this.lineHandler) lines.push(this.pending ? "" : ` > ${[...this.line].slice(-(width - 4)).join("")}${color(ANSI.inverse, " ")}`);
+
+    this.output.write(ANSI.home + lines.map((l) => l + ANSI.clearLine).join("\n") + ANSI.clearBelow);
+  }
+
+  tableInfo() {
+    const s = this.state;
+    return ` ${this.m.tuiTableInfo(s)}`;
+  }
+
+  playerLine(p, width) {
+    const s = this.state;
+    const nameWidth = Math.max(...s.players.map((pl) => [...pl.name].length));
+    const turn = p.name === s.turn ? color(ANSI.yellow, "▶") : " ";
+
+    const numbers = p.row.filter((c) => c.type === "number").map((c) => String(c.value));
+    const mods = p.row.filter((c) => c.type === "modifier").map((c) => (c.value === "x2" ? "x2" : `+${c.value}`));
+
+    const state = p.eliminated ? color(ANSI.red, "BUST") : !p.active ? color(ANSI.dim, "STAY") : "";
+    const room = Math.min(36, Math.max(10, width - nameWidth - 40)); // place des cartes sur la ligne
+    const numbersText = fit(numbers.join(" ") || "—", room);
+    const modsText = fit(mods.join(" "), Math.max(0, room - [...numbersText].length - 2));
+    const pad = " ".repeat(Math.max(0, room - [...numbersText].length - [...modsText].length - 2));
+    const sc = p.secondChance ? color(ANSI.green, "SC") : "  ";
+    const scores = this.m.tuiScores(String(p.roundScore).padStart(3), String(p.totalScore).padStart(3));
+
+    return (
+      ` ${turn} ${color(ANSI.bold, p.name.padEnd(nameWidth))}  ${color(ANSI.cyan, numbersText)}  ${color(ANSI.yellow, modsText)}${pad}` +
+      `  ${sc}  ${scores}  ${state}`
+    );
+  }
+
+  promptLine() {
+    if (!this.pending) return color(ANSI.dim, ` ${this.lineHandler ? this.m.tuiInputHint : this.m.tuiWaiting}`);
+    const p = this.pending.prompt;
+
+    switch (p.kind) {
+      case "hitOrStay":
+        return color(ANSI.bold, ` ${p.player} : `) + this.m.tuiHitOrStayKeys;
+      case "chooseTarget":
+        return (
+          color(ANSI.bold, ` ${p.player} (${p.action}) : `) +
+          p.candidates.slice(0, TARGET_KEYS.length).map((c, i) => `[${TARGET_KEYS[i]}] ${c.name}`).join("   ")
+        );
+      case "secondChance":
+        return color(ANSI.bold, ` ${this.m.tuiDuplicate(p.player, p.card)} `) + this.m.tuiSecondChanceKeys;
+      default:
+        return ` ${this.m.unknownPrompt(p.kind)}`;
+    }
+  }
+}
+
+module.exports = TerminalUI;
@@ -0,0 +1,109 @@
+// src/TextLog.js
+// =======================================================
+// Abonné "texte" aux événements de Game.
+//
+// Game émet des événements typés (EventEmitter) avec des
+// payloads structurés. Ce module les transforme en lignes
+// lisibles ("[CARD] ...", "[FREEZE] ...") via game.log().
+//
+// C'est UN abonné parmi d'autres : un outil peut écouter
+// les mêmes événements sans parser le texte.
+// =======================================================
+
+const Deck = require("./Deck");
+
+// Les textes viennent de src/Messages.js, dans la langue de la partie (game.lang).
+function attachTextLog(game) {
+  const log = (text) => game.log(text);
+  const m = game.messages;
+
+  game.on("gameStart", (e) => {
+    game.separator();
+    log(m.gameStart);
+    log(m.players(e.players));
+    log(m.seed(e.seed));
+    game.rules.describe(game.lang).forEach((line) => log(`[RULES] ${line}`));
+
+    log(m.seats(game.players.map((p) => `${p.name}=${m.seat(p.strategy.toJSON())}`).join(", ")));
+    if (e.deck) {
+      log(m.deckStacked(e.deck.cards.map(Deck.label), e.deck.fill));
+      e.deck.warnings.forEach((w) =>
+        log(w.card ? m.deckTooMany(Deck.label(w.card), w.count, w.expected) : m.deckSize(w.count, w.expected))
+      );
+    }
+    if (e.seats.some((x) => x.type === "human")) {
+      log(m.humansHint);
+    }
+  });
+
+  game.on("gameResumed", (e) => {
+    game.separator();
+    log(m.resumed(e.round));
+    log(m.resumedScores(e.players.map((p) => `${p.player}=${p.totalScore}`).join(", ")));
+    game.rules.describe(game.lang).forEach((line) => log(`[RULES] ${line}`));
+  });
+
+  game.on("tieBreak", (e) => {
+    game.separator();
+    log(m.tieBreak(e.players, e.score));
+  });
+
+  game.on("roundStart", (e) => {
+    game.separator();
+    log(m.roundStart(e.round, e.dealer));
+  });
+
+  game.on("initialDeal", () => log(m.initialDeal));
+
+  game.on("reshuffle", () => log(m.reshuffle));
+
+  game.on("turnStart", (e) => {
+    log("");
+    log(m.turn(e.player, e.state));
+  });
+
+  game.on("cardDealt", (e) => log(m.card(e.player, e.card.toString(), e.context)));
+
+  game.on("bust", (e) => log(m.bust(e.player, e.card.value)));
+
+  game.on("secondChanceUsed", (e) => log(m.secondChanceUsed(e.player)));
+
+  game.on("secondChanceKept", (e) => log(m.secondChanceKept(e.player)));
+
+  game.on("secondChanceGiven", (e) => {
+    if (e.to) log(m.secondChanceGiven(e.player, e.to));
+    else log(m.secondChanceDiscarded);
+  });
+
+  game.on("freeze", (e) => log(m.freeze(e.target)));
+
+  game.on("flipThreeStart", (e) => log(m.flipThreeStart(e.target)));
+
+  game.on("flipThreeDraw", (e) => log(m.flipThreeDraw(e.index, e.target, e.card.toString())));
+
+  game.on("pendingAction", (e) => log(m.pendingAction(e.player, e.card.toString())));
+
+  game.on("turnTimeout", (e) => log(m.timeout(e.player, e.seconds, e.answer)));
+
+  game.on("stay", (e) => log(m.stay(e.player)));
+
+  game.on("flip7", (e) => log(m.flip7(e.player, game.rules.flip7Size, game.rules.flip7Bonus)));
+
+  game.on("roundScored", (e) => {
+    log("");
+    log(m.roundScoring(e.round));
+    e.scores.forEach((s) => log(m.score(s)));
+  });
+
+  game.on("gameOver", (e) => {
+    game.separator();
+    log(m.gameOver(game.rules.targetScore));
+    if (e.tieBreakRounds > 0) log(e.winner ? m.tieBreakRounds(e.tieBreakRounds) : m.tieBreakLimit(e.tieBreakRounds));
+    log(e.winner ? m.winner(e.winner, e.ranking[0].totalScore) : m.sharedWin(e.winners, e.ranking[0].totalScore));
+    log(m.ranking);
+    e.ranking.forEach((r) => log(`  ${r.rank}) ${r.player} - ${r.totalScore}`));
+    game.separator();
+  });
+}
+
+module.exports = { attachTextLog };
@@ -5,10 +5,28 @@
 //
 // Rôle de ce fichier :
 // - Gérer toute l’interaction UTILISATEUR avant le début de la partie
-//   (nombre de joueurs, noms, mode de jeu, paramètres)
+//   (nombre de joueurs, noms, type de chaque siège, paramètres)
 // - Créer une instance de Game
 // - Lancer la partie
 //
+// La mise en place peut aussi venir des options (scripts, alias shell) :
+// seules les informations manquantes sont demandées.
+//
+//   node index.js --players 3 --names Ann,Bob,Cid --seats human,threshold:4,advisor
+//   node index.js --names Ann,Bob --seats human,threshold --threshold 5 --seed 42 --lang en
+//
+//   --players N            nombre de joueurs (2 à 10)
+//   --names A,B,...        noms (déduit --players s’il est absent)
+//   --seats S1,S2,...      sièges : human | threshold[:N] | advisor[:D]
+//   --threshold N          seuil des sièges "threshold" sans ":N"
+//   --seed X               seed du mélange (rejouer une partie)
+//   --rules fichier.json   règles maison (src/Rules.js)
+//   --deck CARTES|fichier  pioche imposée (src/Deck.js), ex : --deck "5,Freeze,5"
+//   --log fichier.txt      log de la partie (défaut : logs/game_history.txt)
+//   --lang fr|en           langue des textes (src/Messages.js)
+//   --tui                  vue plein écran (src/TerminalUI.js)
+//   --resume | --new       reprendre la sauvegarde / l’ignorer, sans demander
+//
 // IMPORTANT :
 // - index.js NE contient PAS la logique du jeu
 // - Toute la logique métier (tours, cartes, scoring, IA, etc.) est dans Game.js
@@ -19,7 +37,18 @@
 const readline = require("readline");
 
 // Import du moteur de jeu
+const { getArgValue, getArgList, hasFlag } = require("./src/Args");
+const Deck = require("./src/Deck");
 const Game = require("./src/Game");
+const Logger = require("./src/Logger");
+const { LANGUAGES, messages } = require("./src/Messages");
+const Rules = require("./src/Rules");
+const SaveGame = require("./src/SaveGame");
+const { parseStrategySpec } = require("./src/Strategy");
+const TerminalUI = require("./src/TerminalUI");
+
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 10;
 
 // -----------------------------------------------------------------------------
 // Fonction utilitaire : poser une question en mode async/await
@@ -36,16 +65,164 @@ function ask(rl, question) {
   });
 }
 
+// -----------------------------------------------------------------------------
+// Option invalide : message clair et arrêt avant la partie
+// -----------------------------------------------------------------------------
+function exitWithError(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+function parseInteger(flag, text, min, max) {
+  const v = Number(text);
+  if (!Number.isInteger(v) || v < min || v > max) exitWithError(`${flag} : entier de ${min} à ${max} attendu.`);
+  return v;
+}
+
+// -----------------------------------------------------------------------------
+// Mise en place donnée par les options
+// -----------------------------------------------------------------------------
+// Retourne { players, names, seats, threshold } : players peut être undefined,
+// threshold null, names et seats incomplets (le reste est demandé).
+// Une incohérence (doublon, trop de noms, siège inconnu) arrête le programme.
+//
+function parseSetupArgs(argv, rules) {
+  const threshold =
+    getArgValue(argv, "--threshold") !== undefined
+      ? parseInteger("--threshold", getArgValue(argv, "--threshold"), 1, rules.flip7Size)
+      : null;
+
+  const names = getArgList(argv, "--names") || [];
+  if (names.some((n) => !n)) exitWithError("--names : nom vide.");
+  const duplicate = names.find((n, i) => names.indexOf(n) !== i);
+  if (duplicate) exitWithError(`--names : ${duplicate} apparaît deux fois.`);
+
+  const seats = (getArgList(argv, "--seats") || []).map((text) => {
+    try {
+      return parseStrategySpec(text, rules, { human: true, threshold });
+    } catch (err) {
+      return exitWithError(`--seats : ${err.message}`);
+    }
+  });
+
+  // Sans --players : le nombre de noms (ou de sièges) donnés
+  let players;
+  if (getArgValue(argv, "--players") !== undefined) {
+    players = parseInteger("--players", getArgValue(argv, "--players"), MIN_PLAYERS, MAX_PLAYERS);
+  } else if (Math.max(names.length, seats.length) >= MIN_PLAYERS) {
+    players = Math.max(names.length, seats.length);
+  }
+
+  if (players !== undefined && names.length > players) exitWithError(`--names : ${names.length} noms pour ${players} joueurs.`);
+  if (players !== undefined && seats.length > players) exitWithError(`--seats : ${seats.length} sièges pour ${players} joueurs.`);
+  if (Math.max(names.length, seats.length) > MAX_PLAYERS) exitWithError(`${MAX_PLAYERS} joueurs au plus.`);
+
+  return { players, names, seats, threshold };
+}
+
+// -----------------------------------------------------------------------------
+// Pioche imposée (--deck)
+// -----------------------------------------------------------------------------
+// Notation compacte ou fichier ; lue tout de suite pour refuser une carte
+// inconnue avant la partie. Retourne l'option deck de Game (ou undefined).
+//
+function parseDeckArg(arg) {
+  if (arg === undefined) return undefined;
+  try {
+    const spec = { fill: true, ...Deck.readStack(arg) };
+    Deck.parseStack(spec);
+    return spec;
+  } catch (err) {
+    return exitWithError(`--deck : ${err.message}`);
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Vue plein écran (--tui)
+// -----------------------------------------------------------------------------
+// La table (rangées, scores, pioche) et le journal sont dessinés par
+// src/TerminalUI.js ; les prompts se répondent d’une touche (h / s / a ...).
+// Le journal reste écrit dans le fichier de log.
+// Retourne les options de Game ({ io }) et une fonction qui lance la vue.
+//
+function terminalUIOptions(enabled, logPath, lang) {
+  if (!enabled) return { options: {}, start: () => {} };
+  const m = messages(lang);
+
+  if (!TerminalUI.isSupported()) {
+    console.log(`${m.tuiUnsupported}\n`);
+    return { options: {}, start: () => {} };
+  }
+
+  const ui = new TerminalUI({ title: m.tuiLocalGame, lang });
+  const logger = new Logger(logPath, { echo: false });
+
+  return {
+    options: { io: ui.gameIO((text) => logger.log(text)) },
+    start: (game) => {
+      Game.STATE_EVENTS.forEach((ev) => game.on(ev, () => ui.setState(game.snapshot())));
+      ui.setState(game.snapshot());
+      ui.start();
+    },
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Seuil d’un bot "seuil"
+// -----------------------------------------------------------------------------
+// threshold = nombre de cartes distinctes à partir duquel le bot décide de STAY.
+// max = taille du Flip 7 dans les règles de la partie (7 en règles standard).
+//
+async function askThreshold(rl, m, name, max) {
+  while (true) {
+    const ans = await ask(rl, m.askThreshold(name, max));
+    const v = parseInt(ans, 10);
+
+    if (!Number.isNaN(v) && v >= 1 && v <= max) return v;
+
+    console.log(`${m.invalidThreshold(max)}\n`);
+  }
+}
+
 // -----------------------------------------------------------------------------
 // Fonction principale du programme
 // -----------------------------------------------------------------------------
 // On utilise async main() pour pouvoir utiliser await facilement.
 //
 async function main() {
+  const argv = process.argv.slice(2);
+
+  // Langue des textes : "node index.js --lang en" (voir src/Messages.js)
+  const lang = getArgValue(argv, "--lang") || "fr";
+  if (!LANGUAGES.includes(lang)) exitWithError(`--lang : ${LANGUAGES.join(" ou ")} attendu.`);
+  const m = messages(lang);
+
   console.log("=================================");
-  console.log("   Flip 7 - Jeu de cartes (CLI)   ");
+  console.log(m.title);
   console.log("=================================\n");
 
+  // Seed optionnelle : "node index.js --seed 42" rejoue la même partie
+  // (même distribution de cartes si les décisions sont identiques).
+  const seed = getArgValue(argv, "--seed");
+
+  // Règles optionnelles : "node index.js --rules variante.json" (voir src/Rules.js).
+  // Fichier invalide => on s’arrête avant de commencer, avec la liste des erreurs.
+  const rulesFile = getArgValue(argv, "--rules");
+  const rules = rulesFile ? Rules.load(rulesFile) : Rules.from();
+
+  // Pioche imposée (tutoriels, situations à rejouer) : les cartes données sortent
+  // en premier, le reste du jeu est mélangé dessous (sauf "fill": false dans un JSON).
+  const deck = parseDeckArg(getArgValue(argv, "--deck"));
+
+  // Fichier de log : "node index.js --log logs/soiree.txt"
+  const logPath = getArgValue(argv, "--log");
+
+  // Vue plein écran : "node index.js --tui" (une fois les sièges choisis)
+  const tui = hasFlag(argv, "--tui");
+
+  // Mise en place déjà donnée par les options (le reste sera demandé)
+  const setup = parseSetupArgs(argv, rules);
+
   // Création de l’interface readline
   // - input : clavier
   // - output : terminal
@@ -54,21 +231,60 @@ async function main() {
     output: process.stdout,
   });
 
+  // ---------------------------------------------------------------------------
+  // 0) Reprise d’une partie sauvegardée ?
+  // ---------------------------------------------------------------------------
+  // Game sauvegarde l’état complet à chaque tour de joueur dans logs/savegame.json
+  // (fichier supprimé en fin de partie). S’il existe, la partie a été interrompue.
+  // --resume : reprise sans question ; --new : la sauvegarde est ignorée.
+  //
+  const savePath = SaveGame.defaultPath();
+
+  if (SaveGame.exists(savePath) && !hasFlag(argv, "--new")) {
+    let saved = null;
+    try {
+      saved = SaveGame.read(savePath);
+    } catch (err) {
+      console.log(`${m.saveUnreadable(err.message)}\n`);
+    }
+
+    if (saved) {
+      const scores = saved.players.map((p) => `${p.name}=${p.totalScore}`).join(", ");
+      console.log(m.saveFound(saved.roundNumber, scores));
+      const ans = hasFlag(argv, "--resume") ? "y" : (await ask(rl, m.askResume)).trim().toLowerCase();
+
+      if (ans.startsWith("y")) {
+        rl.close();
+        console.log(`\n${m.resuming}\n`);
+        const view = terminalUIOptions(tui, logPath, lang);
+        const resumed = Game.fromSave(saved, { savePath, logPath, lang, ...view.options });
+        view.start(resumed);
+        await resumed.start();
+        return;
+      }
+      console.log("");
+    }
+  }
+
   // ---------------------------------------------------------------------------
   // 1) Choix du nombre de joueurs
   // ---------------------------------------------------------------------------
-  let nPlayers = 0;
+  // Au moins autant que de noms / sièges déjà donnés par les options.
+  //
+  let nPlayers = setup.players;
+  const minPlayers = Math.max(MIN_PLAYERS, setup.names.length, setup.seats.length);
 
-  while (true) {
-    const ans = await ask(rl, "Nombre de joueurs (2 à 10) : ");
-    nPlayers = parseInt(ans, 10);
+  while (nPlayers === undefined) {
+    const ans = await ask(rl, m.askPlayers(minPlayers, MAX_PLAYERS));
+    const v = parseInt(ans, 10);
 
     // Validation de l’entrée
-    if (!Number.isNaN(nPlayers) && nPlayers >= 2 && nPlayers <= 10) {
+    if (!Number.isNaN(v) && v >= minPlayers && v <= MAX_PLAYERS) {
+      nPlayers = v;
       break;
     }
 
-    console.log("❌ Entrée invalide. Veuillez entrer un nombre entre 2 et 10.\n");
+    console.log(`${m.invalidPlayers(minPlayers, MAX_PLAYERS)}\n`);
   }
 
   // ---------------------------------------------------------------------------
@@ -78,21 +294,21 @@ async function main() {
   // - pas de nom vide
   // - pas de doublons
   //
-  const names = [];
+  const names = [...setup.names];
 
-  for (let i = 0; i < nPlayers; i++) {
+  for (let i = names.length; i < nPlayers; i++) {
     let name = "";
 
     while (true) {
-      name = (await ask(rl, `Nom du joueur ${i + 1} : `)).trim();
+      name = (await ask(rl, m.askName(i + 1))).trim();
 
       if (!name) {
-        console.log("❌ Le nom ne peut pas être vide.\n");
+        console.log(`${m.emptyName}\n`);
         continue;
       }
 
       if (names.includes(name)) {
-        console.log("❌ Ce nom est déjà utilisé. Choisissez-en un autre.\n");
+        console.log(`${m.nameTaken}\n`);
         continue;
       }
 
@@ -103,59 +319,49 @@ async function main() {
   }
 
   // ---------------------------------------------------------------------------
-  // 3) Choix du mode de jeu
+  // 3) Type de chaque siège
   // ---------------------------------------------------------------------------
-  // Mode 1 : interactif
-  //   - Le joueur choisit hit / stay
-  //   - Il peut demander un CONSEIL IA avec la touche 'a'
+  // Chaque joueur est réglé individuellement :
+  //   1) Humain        : hit / stay au clavier + conseil IA avec la touche 'a'
+  //   2) Bot seuil     : STAY dès qu’il a N nombres distincts (N propre au bot)
+  //   3) Bot espérance : suit la recommandation de l’IA conseillère
   //
-  // Mode 2 : auto
-  //   - Les décisions sont automatiques (utile pour tests rapides)
+  // Un joueur peut ainsi s’entraîner seul contre plusieurs bots.
+  // Les sièges donnés par --seats ne sont pas redemandés (sauf un seuil manquant).
   //
-  console.log("\nModes de jeu :");
-  console.log("  1) Interactif (hit / stay + conseil IA)");
-  console.log("  2) Auto (stratégie simple)\n");
-
-  let mode = "interactive";
+  const seats = [...setup.seats];
 
-  while (true) {
-    const ans = (await ask(rl, "Choisir le mode (1 ou 2) : ")).trim();
-
-    if (ans === "1") {
-      mode = "interactive";
-      break;
+  // Seuil manquant d’un siège "threshold" donné par --seats (sans ":N" ni --threshold)
+  for (let i = 0; i < seats.length; i++) {
+    if (seats[i].type === "threshold" && seats[i].threshold === undefined) {
+      seats[i].threshold = await askThreshold(rl, m, names[i], rules.flip7Size);
     }
-
-    if (ans === "2") {
-      mode = "auto";
-      break;
-    }
-
-    console.log("❌ Choix invalide. Entrez 1 ou 2.\n");
   }
 
-  // ---------------------------------------------------------------------------
-  // 4) Paramètre du mode auto (si choisi)
-  // ---------------------------------------------------------------------------
-  // autoTarget = nombre de cartes distinctes à partir duquel
-  // le joueur automatique décide de STAY.
-  //
-  let autoTarget = 4;
+  if (seats.length < nPlayers) {
+    console.log("");
+    m.seatTypes.forEach((line) => console.log(line));
+    console.log("");
+  }
 
-  if (mode === "auto") {
-    while (true) {
-      const ans = await ask(rl, "Seuil auto (1 à 7) : ");
-      const v = parseInt(ans, 10);
+  for (let i = seats.length; i < nPlayers; i++) {
+    let seat = null;
 
-      if (!Number.isNaN(v) && v >= 1 && v <= 7) {
-        autoTarget = v;
-        break;
-      }
+    while (!seat) {
+      const ans = (await ask(rl, m.askSeat(names[i]))).trim();
 
-      console.log("❌ Entrée invalide. Valeur entre 1 et 7.\n");
+      if (ans === "1") seat = { type: "human" };
+      else if (ans === "2") seat = { type: "threshold", threshold: setup.threshold ?? (await askThreshold(rl, m, names[i], rules.flip7Size)) };
+      else if (ans === "3") seat = { type: "advisor" };
+      else console.log(`${m.invalidSeat}\n`);
     }
+
+    seats.push(seat);
   }
 
+  // Mode "historique" (valeurs par défaut de Game) : interactif s’il y a au moins un humain
+  const mode = seats.some((s) => s.type === "human") ? "interactive" : "auto";
+
   // ---------------------------------------------------------------------------
   // IMPORTANT : fermeture de CE readline
   // ---------------------------------------------------------------------------
@@ -168,12 +374,21 @@ async function main() {
   // ---------------------------------------------------------------------------
   // 5) Création et lancement du jeu
   // ---------------------------------------------------------------------------
-  console.log("\n=== Lancement de la partie ===\n");
+  console.log(`\n${m.launching}\n`);
 
+  const view = terminalUIOptions(tui, logPath, lang);
   const game = new Game(names, {
     mode,
-    autoTarget,
+    strategies: seats,
+    seed,
+    rules,
+    deck,
+    savePath,
+    logPath,
+    lang,
+    ...view.options,
   });
+  view.start(game);
 
   // start() est async car le jeu contient des entrées utilisateur
   await game.start();
@@ -0,0 +1,49 @@
+// net/Chat.js
+// =======================================================
+// Chat et emotes entre joueurs (serveur TCP).
+//
+// - Les messages vont au salon de l'expéditeur (joueurs + spectateurs),
+//   ou au lobby s'il n'est dans aucun salon.
+// - Ils ne passent PAS par le log de la partie (game.log / record) :
+//   le serveur les écrit dans un fichier séparé, logs/chat_history.txt.
+// - Limite de débit par client : RATE_LIMIT.messages par RATE_LIMIT.windowMs.
+// =======================================================
+
+// /emote <nom> -> texte affiché
+const EMOTES = {
+  gg: "👏 GG !",
+  bravo: "🎉 Bravo !",
+  wow: "😮 Waouh !",
+  lol: "😂",
+  aie: "😬 Aïe...",
+  merci: "🙏 Merci !",
+  brrr: "🥶 Brrr...",
+};
+
+const MAX_LENGTH = 200;
+const RATE_LIMIT = { messages: 5, windowMs: 10000 };
+
+// Fenêtre glissante : au plus `messages` envois sur les `windowMs` dernières ms
+class RateLimiter {
+  constructor(limit = RATE_LIMIT) {
+    this.limit = limit;
+    this.sent = []; // horodatages des derniers envois
+  }
+
+  allow(now = Date.now()) {
+    this.sent = this.sent.filter((t) => now - t < this.limit.windowMs);
+    if (this.sent.length >= this.limit.messages) return false;
+    this.sent.push(now);
+    return true;
+  }
+}
+
+// Texte reçu -> une ligne propre (sans caractères de contrôle), tronquée
+function cleanText(text) {
+  return String(text ?? "")
+    .replace(/[\u0000-\u001f\u007f]/g, " ")
+    .trim()
+    .slice(0, MAX_LENGTH);
+}
+
+module.exports = { EMOTES, MAX_LENGTH, RATE_LIMIT, RateLimiter, cleanText };
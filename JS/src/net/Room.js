@@ -0,0 +1,338 @@
+// net/Room.js
+// =======================================================
+// Salon du serveur TCP : une table de jeu nommée.
+//
+// Chaque salon a son nombre de joueurs, ses règles (src/Rules.js),
+// sa sauvegarde (logs/savegame-room-<nom>.json) et sa partie.
+// Plusieurs salons jouent en même temps sur le même serveur.
+//
+// Cycle de vie :
+//   "waiting"  : les joueurs entrent, se déclarent prêts (/ready)
+//   "playing"  : /start quand le salon est complet et tout le monde prêt
+//   fin de partie => retour à "waiting" (mêmes joueurs, prêts remis à zéro)
+//
+// Les logs de la partie ne sont envoyés qu'aux membres du salon,
+// chaque prompt uniquement au joueur concerné.
+//
+// Prompts : typés (src/Prompts.js), envoyés selon la version de protocole du
+// client (net/protocol.js) ; la réponse est validée ici, une réponse invalide
+// est refusée et le prompt reste en attente.
+//
+// Spectateurs : reçoivent le log et l'état de la table, jamais de prompt, ne
+// comptent pas dans le nombre de joueurs ; peuvent arriver en pleine partie
+// (résumé des scores et du tour en cours à l'arrivée).
+//
+// Un membre déconnecté en pleine partie garde son siège (socket = null) :
+// ses prompts restent en attente et lui sont renvoyés à la reconnexion.
+// Le serveur décide quand il est définitivement parti (délai de grâce).
+//
+// Temps de réponse : chaque prompt a une limite (turnSeconds, 0 = illimité),
+// avec des rappels au joueur ; à l'expiration, la réponse par défaut fournie
+// par la stratégie est utilisée (stay, cible au hasard, SecondChance = oui)
+// et l'événement turnTimeout l'écrit dans le log de la partie.
+// =======================================================
+
+const { sendJSON, sendError } = require("./protocol");
+const Game = require("../src/Game");
+const Prompts = require("../src/Prompts");
+const SaveGame = require("../src/SaveGame");
+const { ThresholdStrategy, AdvisorStrategy } = require("../src/Strategy");
+
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 10;
+const ROOM_NAME = /^[A-Za-z0-9_-]{1,20}$/;
+const TIMER_WARNINGS = [30, 10, 5]; // rappels : secondes restantes
+
+// Siège d'un joueur parti en pleine partie : "stay" (s'arrête à chaque décision) ou "bot"
+const FALLBACKS = {
+  stay: { label: "s'arrête (stay) à chaque décision", create: () => new ThresholdStrategy(0) },
+  bot: { label: "est confié au bot espérance", create: () => new AdvisorStrategy() },
+};
+
+class Room {
+  // options : { players, rules (Rules), rulesName, seed, resumeData, turnSeconds }
+  constructor(name, options = {}) {
+    this.name = name;
+    this.rules = options.rules;
+    this.rulesName = options.rulesName || "standard";
+    this.seed = options.seed; // seed de la première partie du salon (puis seeds aléatoires)
+    this.turnSeconds = options.turnSeconds || 0; // limite par prompt (0 = illimité)
+    this.savePath = Room.savePath(name);
+
+    // Reprise : seuls les joueurs humains de la sauvegarde peuvent entrer
+    this.resumeData = options.resumeData || null;
+    this.resumeNames = this.resumeData
+      ? this.resumeData.players.filter((p, i) => this.resumeData.seats[i].type === "human").map((p) => p.name)
+      : null;
+    this.expected = this.resumeNames ? this.resumeNames.length : options.players;
+
+    this.members = []; // clients { socket, name, version, room, pending: { id, prompt, resolve } }
+    this.spectators = []; // clients { socket, name, version, room, spectator: true }
+    this.ready = new Set(); // noms des joueurs prêts
+    this.status = "waiting";
+    this.game = null;
+    this.gamesPlayed = 0;
+    this.nextPromptId = 1;
+  }
+
+  static savePath(name) {
+    return SaveGame.defaultPath(`savegame-room-${name}`);
+  }
+
+  static isValidName(name) {
+    return ROOM_NAME.test(name);
+  }
+
+  // Ligne affichée par /list
+  summary() {
+    const state = this.status === "playing" ? "en partie" : this.resumeNames ? "reprise en attente" : "en attente";
+    const watching = this.spectators.length > 0 ? ` | ${this.spectators.length} spectateur(s)` : "";
+    return `${this.name} : ${this.members.length}/${this.expected} joueurs | ${state} | règles ${this.rulesName}${watching}`;
+  }
+
+  // Joueurs et spectateurs
+  audience() {
+    return [...this.members, ...this.spectators];
+  }
+
+  broadcast(text) {
+    for (const c of this.audience()) if (c.socket) sendJSON(c.socket, { type: "print", text });
+  }
+
+  isPlaying(name) {
+    return Boolean(this.game && this.game.players.some((p) => p.name === name));
+  }
+
+  // Retourne un message d'erreur, ou null si le client peut entrer
+  canEnter(client) {
+    if (this.status === "playing") return `Le salon ${this.name} est en partie.`;
+    if (this.members.length >= this.expected) return `Le salon ${this.name} est complet.`;
+    if (this.resumeNames && !this.resumeNames.includes(client.name)) {
+      return `Partie reprise : joueurs attendus ${this.resumeNames.join(", ")}`;
+    }
+    return null;
+  }
+
+  add(client) {
+    this.members.push(client);
+    client.room = this;
+    this.broadcast(`👤 ${client.name} entre dans ${this.name} (${this.members.length}/${this.expected})\n`);
+  }
+
+  // Départ définitif d'un membre. En pleine partie, son siège reste à la table
+  // et passe à la stratégie de repli (fallback) : la partie des autres continue.
+  remove(client, fallback = "stay") {
+    const i = this.members.indexOf(client);
+    if (i < 0) return;
+    this.members.splice(i, 1);
+    this.ready.delete(client.name);
+    client.room = null;
+
+    const p = this.game && this.game.players.find((pl) => pl.name === client.name);
+    if (p) {
+      p.strategy = FALLBACKS[fallback].create();
+      this.broadcast(`❌ ${client.name} a quitté la partie : son siège ${FALLBACKS[fallback].label}.\n`);
+    } else {
+      this.broadcast(`❌ ${client.name} a quitté ${this.name} (${this.members.length}/${this.expected})\n`);
+    }
+
+    // Prompt en cours : on débloque la partie (HumanStrategy passe la main au repli)
+    if (client.pending) client.pending.resolve(null);
+  }
+
+  // Socket perdue en pleine partie : le siège attend son joueur
+  disconnected(client, graceSeconds) {
+    this.broadcast(`⚠️ ${client.name} est déconnecté : ${graceSeconds} s pour revenir.\n`);
+  }
+
+  // Retour du joueur (client.socket déjà remplacée) : on renvoie le prompt en attente
+  reconnected(client) {
+    this.broadcast(`🔌 ${client.name} est de retour.\n`);
+    if (this.game) this.sendState(client);
+    if (client.pending) this.sendPrompt(client);
+  }
+
+  // État public de la table (clients v2)
+  sendState(client = null) {
+    if (!this.game) return;
+    const state = this.game.snapshot();
+    for (const c of client ? [client] : this.audience()) {
+      if (c.socket && c.version >= 2) sendJSON(c.socket, { type: "state", state });
+    }
+  }
+
+  addSpectator(client) {
+    this.spectators.push(client);
+    client.room = this;
+    client.spectator = true;
+    this.broadcast(`👀 ${client.name} regarde ${this.name}.\n`);
+    sendJSON(client.socket, { type: "print", text: this.catchUp().join("\n") + "\n" });
+    this.sendState(client);
+  }
+
+  removeSpectator(client) {
+    const i = this.spectators.indexOf(client);
+    if (i < 0) return;
+    this.spectators.splice(i, 1);
+    client.room = null;
+    client.spectator = false;
+    this.broadcast(`👀 ${client.name} ne regarde plus ${this.name}.\n`);
+  }
+
+  // Résumé pour un spectateur qui arrive : scores, tour en cours, rangées
+  catchUp() {
+    if (!this.game) {
+      const names = this.members.map((c) => c.name).join(", ") || "personne";
+      return [`[SPECTATEUR] ${this.name} en attente (${this.members.length}/${this.expected} joueurs : ${names}).`];
+    }
+
+    const s = this.game.snapshot();
+    const lines = [
+      `[SPECTATEUR] ${this.name} : tour ${s.round} | donneur ${s.dealer}` +
+        (s.turn ? ` | au tour de ${s.turn}` : "") +
+        ` | fin à ${s.targetScore} pts`,
+    ];
+    s.players.forEach((p) => {
+      const status = p.eliminated ? "éliminé" : p.active ? "en jeu" : "reste";
+      const row = p.row.map((c) => (c.type === "modifier" && c.value !== "x2" ? `+${c.value}` : c.value)).join(" ");
+      lines.push(`  ${p.name} : ${p.totalScore} pts | ce tour : [${row}] = ${p.roundScore} (${status})`);
+    });
+    return lines;
+  }
+
+  setReady(client) {
+    this.ready.add(client.name);
+    this.broadcast(`✔️ ${client.name} est prêt (${this.ready.size}/${this.expected})\n`);
+  }
+
+  // Retourne un message d'erreur, ou null si la partie peut démarrer
+  canStart() {
+    if (this.status === "playing") return "Partie déjà en cours.";
+    if (this.members.length < this.expected) return `Salon incomplet (${this.members.length}/${this.expected}).`;
+    const notReady = this.members.filter((c) => !this.ready.has(c.name)).map((c) => c.name);
+    if (notReady.length > 0) return `Pas encore prêts : ${notReady.join(", ")}`;
+    return null;
+  }
+
+  sendPrompt(c) {
+    if (!c.socket) return;
+    const { id, prompt } = c.pending;
+    if (c.version >= 2) sendJSON(c.socket, { type: "prompt", id, ...prompt, timeLimit: this.turnSeconds || null });
+    else sendJSON(c.socket, { type: "prompt", text: Prompts.text(prompt) });
+  }
+
+  // io.prompt de Game : prompt typé -> réponse typée.
+  // timeout = { answer, expired(secondes) } : réponse par défaut à l'expiration
+  prompt(name, prompt, timeout = null) {
+    const c = this.members.find((m) => m.name === name);
+    if (!c) return Promise.resolve(timeout ? timeout.answer : null);
+
+    return new Promise((resolve) => {
+      const id = this.nextPromptId++;
+      const timers = [];
+      const answer = (value) => {
+        timers.forEach(clearTimeout);
+        c.pending = null;
+        resolve(value);
+      };
+
+      if (timeout && this.turnSeconds > 0) {
+        const notify = (v2, text) => {
+          if (!c.socket) return;
+          if (c.version >= 2) sendJSON(c.socket, v2);
+          else sendJSON(c.socket, { type: "print", text });
+        };
+        TIMER_WARNINGS.filter((w) => w < this.turnSeconds).forEach((w) => {
+          timers.push(
+            setTimeout(
+              () => notify({ type: "timer", id, remaining: w }, `⏳ ${name} : plus que ${w} s pour répondre.\n`),
+              (this.turnSeconds - w) * 1000
+            )
+          );
+        });
+        timers.push(
+          setTimeout(() => {
+            notify({ type: "promptExpired", id, value: timeout.answer }, "⌛ Temps écoulé.\n");
+            timeout.expired(this.turnSeconds);
+            answer(timeout.answer);
+          }, this.turnSeconds * 1000)
+        );
+        // v2 : la limite est dans le prompt (timeLimit)
+        if (c.version < 2 && c.socket) sendJSON(c.socket, { type: "print", text: `⏱️ ${this.turnSeconds} s pour répondre.\n` });
+      }
+
+      c.pending = { id, prompt, resolve: answer };
+      this.sendPrompt(c);
+    });
+  }
+
+  // Réponse d'un client : "input" (v1, texte) ou "answer" (v2, typée)
+  answer(c, msg) {
+    if (!c.pending) {
+      if (msg.type === "answer") sendError(c.socket, "noPrompt", "Aucune question en attente.", { id: msg.id });
+      return;
+    }
+    const { id, prompt, resolve } = c.pending;
+
+    if (msg.type === "input") {
+      const r = Prompts.parseText(prompt, typeof msg.value === "string" ? msg.value : "");
+      if (r.error !== undefined) {
+        sendJSON(c.socket, { type: "print", text: r.error + "\n" });
+        this.sendPrompt(c);
+        return;
+      }
+      resolve(r.value);
+      return;
+    }
+
+    if (msg.id !== id) {
+      sendError(c.socket, "noPrompt", `Question ${msg.id} inconnue ou expirée (en attente : ${id}).`, { id: msg.id });
+      return;
+    }
+    const error = Prompts.validate(prompt, msg.value);
+    if (error) {
+      sendError(c.socket, "invalidAnswer", error, { id });
+      return;
+    }
+    resolve(msg.value);
+  }
+
+  // Lance une partie ; à la fin, le salon attend la suivante
+  async play() {
+    this.status = "playing";
+    this.broadcast(`\n=== ${this.name} : tous les joueurs sont prêts. Démarrage ! ===\n\n`);
+
+    const io = {
+      log: (text) => this.broadcast(text + "\n"),
+      prompt: (playerName, prompt, timeout) => this.prompt(playerName, prompt, timeout),
+      close: () => this.broadcast("\n=== Partie terminée ===\n"),
+    };
+
+    this.game = this.resumeData
+      ? Game.fromSave(this.resumeData, { io, savePath: this.savePath })
+      : new Game(
+          this.members.map((c) => c.name),
+          { mode: "interactive", io, seed: this.gamesPlayed === 0 ? this.seed : undefined, rules: this.rules, savePath: this.savePath }
+        );
+    Game.STATE_EVENTS.forEach((ev) => this.game.on(ev, () => this.sendState()));
+    console.log(`[ROOM] ${this.name} : partie lancée (seed ${this.game.seed})`);
+
+    try {
+      await this.game.start();
+    } catch (err) {
+      console.error(`[ROOM] ${this.name} : erreur pendant la partie :`, err);
+      this.broadcast(`\n❌ Partie interrompue (erreur serveur).\n`);
+    }
+
+    this.gamesPlayed++;
+    this.game = null;
+    this.resumeData = null;
+    this.resumeNames = null;
+    this.status = "waiting";
+    this.ready.clear();
+    this.broadcast(`\n=== ${this.name} : /ready puis /start pour rejouer, /leave pour quitter ===\n`);
+    console.log(`[ROOM] ${this.name} : partie terminée`);
+  }
+}
+
+module.exports = { Room, MIN_PLAYERS, MAX_PLAYERS, FALLBACKS };
@@ -0,0 +1,229 @@
+// net/WebSocket.js
+// =======================================================
+// Passerelle WebSocket (RFC 6455, sans dépendance) + serveur de fichiers
+// statiques pour le client navigateur (net/web/).
+//
+// Une connexion WebSocket est présentée au serveur comme une socket TCP
+// "JSON par ligne" : write() découpe les lignes en trames texte, chaque
+// trame reçue est émise en "data" terminée par "\n". net/server.js traite
+// donc les deux transports avec le même code et les mêmes messages.
+//
+// Limites assumées : messages texte uniquement (binaire => fermeture 1003),
+// pas d'extensions (compression), messages de MAX_MESSAGE octets au plus.
+// =======================================================
+
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { EventEmitter } = require("events");
+
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const WS_PATH = "/ws";
+const MAX_MESSAGE = 64 * 1024;
+const WEB_DIR = path.join(__dirname, "web");
+
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+// Codes de fermeture (RFC 6455, 7.4.1)
+const CLOSE_CODES = { protocolError: 1002, unsupportedData: 1003, messageTooBig: 1009 };
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+};
+
+// Trame serveur -> client (jamais masquée)
+function encodeFrame(opcode, payload) {
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Connexion WebSocket vue comme une socket "JSON par ligne"
+class WebSocketConnection extends EventEmitter {
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.fragmentBytes = 0; // taille cumulée des fragments du message en cours
+    this.messageOpcode = null; // opcode de la 1re trame du message en cours (null : aucun)
+    this.closed = false;
+
+    socket.on("data", (chunk) => this.receive(chunk));
+    socket.on("end", () => socket.end()); // socket HTTP en demi-ouverture : on ferme aussi
+    socket.on("close", () => this.finish());
+    socket.on("error", (err) => this.emit("error", err));
+  }
+
+  setNoDelay(noDelay) {
+    this.socket.setNoDelay(noDelay);
+  }
+
+  // Appelé par sendJSON : une trame texte par ligne JSON
+  write(data) {
+    if (this.closed) return;
+    String(data)
+      .split("\n")
+      .filter((line) => line.length > 0)
+      .forEach((line) => this.socket.write(encodeFrame(OPCODES.text, Buffer.from(line, "utf8"))));
+  }
+
+  // code : code de fermeture (CLOSE_CODES), absent => fermeture normale sans code
+  end(code = null) {
+    if (this.closed || this.socket.writableEnded) return;
+    const payload = Buffer.alloc(code ? 2 : 0);
+    if (code) payload.writeUInt16BE(code, 0);
+    this.socket.write(encodeFrame(OPCODES.close, payload));
+    this.socket.end();
+  }
+
+  destroy() {
+    this.socket.destroy();
+  }
+
+  finish() {
+    if (this.closed) return;
+    this.closed = true;
+    this.emit("close");
+  }
+
+  // Découpe le flux en trames (client -> serveur : toujours masquées)
+  receive(chunk) {
+    if (this.socket.writableEnded) return; // connexion en cours de fermeture : trames ignorées
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    while (this.buffer.length >= 2) {
+      const b0 = this.buffer[0];
+      const b1 = this.buffer[1];
+      const fin = (b0 & 0x80) !== 0;
+      const opcode = b0 & 0x0f;
+      const masked = (b1 & 0x80) !== 0;
+
+      let len = b1 & 0x7f;
+      let offset = 2;
+      if (len === 126) {
+        if (this.buffer.length < 4) return;
+        len = this.buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (len === 127) {
+        if (this.buffer.length < 10) return;
+        len = Number(this.buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+
+      if (!masked || len > MAX_MESSAGE) {
+        this.end(masked ? CLOSE_CODES.messageTooBig : CLOSE_CODES.protocolError); // trame trop grande ou non masquée
+        return;
+      }
+      if (this.buffer.length < offset + 4 + len) return;
+
+      const mask = this.buffer.subarray(offset, offset + 4);
+      const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + len));
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+      this.buffer = this.buffer.subarray(offset + 4 + len);
+
+      this.handleFrame(fin, opcode, payload);
+    }
+  }
+
+  handleFrame(fin, opcode, payload) {
+    switch (opcode) {
+      case OPCODES.binary:
+        this.end(CLOSE_CODES.unsupportedData);
+        return;
+      case OPCODES.text:
+      case OPCODES.continuation:
+        // Nouveau message avant la fin du précédent, ou suite sans début : non conforme
+        if ((opcode === OPCODES.text) !== (this.messageOpcode === null)) {
+          this.fragments = [];
+          this.end(CLOSE_CODES.protocolError);
+          return;
+        }
+        if (opcode === OPCODES.text) this.messageOpcode = opcode;
+
+        // Limite sur le message entier (en octets), pas seulement sur chaque trame
+        this.fragmentBytes += payload.length;
+        if (this.fragmentBytes > MAX_MESSAGE) {
+          this.fragments = [];
+          this.end(CLOSE_CODES.messageTooBig);
+          return;
+        }
+        this.fragments.push(payload);
+        if (!fin) return;
+        {
+          const message = Buffer.concat(this.fragments).toString("utf8");
+          this.fragments = [];
+          this.fragmentBytes = 0;
+          this.messageOpcode = null;
+          this.emit("data", Buffer.from(message.replace(/\n/g, " ") + "\n", "utf8"));
+        }
+        return;
+      case OPCODES.ping:
+        this.socket.write(encodeFrame(OPCODES.pong, payload));
+        return;
+      case OPCODES.close:
+        this.end();
+        return;
+      default:
+        return; // pong : ignoré
+    }
+  }
+}
+
+// Fichiers du client navigateur (net/web/), sans sortir du dossier
+function serveStatic(req, res) {
+  const url = new URL(req.url, "http://localhost");
+  const file = path.normalize(path.join(WEB_DIR, url.pathname === "/" ? "index.html" : url.pathname));
+
+  if (!file.startsWith(WEB_DIR + path.sep) || !CONTENT_TYPES[path.extname(file)] || !fs.existsSync(file)) {
+    res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+    res.end("Introuvable");
+    return;
+  }
+  res.writeHead(200, { "Content-Type": CONTENT_TYPES[path.extname(file)] });
+  fs.createReadStream(file).pipe(res);
+}
+
+// Serveur HTTP : page du client + WebSocket sur /ws.
+// onConnection(conn) reçoit chaque WebSocketConnection ouverte.
+function createWebServer(onConnection) {
+  const server = http.createServer(serveStatic);
+
+  server.on("upgrade", (req, socket) => {
+    const key = req.headers["sec-websocket-key"];
+    const isWebSocket = String(req.headers.upgrade || "").toLowerCase() === "websocket";
+
+    if (new URL(req.url, "http://localhost").pathname !== WS_PATH || !isWebSocket || !key) {
+      socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+      return;
+    }
+
+    const accept = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+    socket.write(
+      "HTTP/1.1 101 Switching Protocols\r\n" +
+        "Upgrade: websocket\r\n" +
+        "Connection: Upgrade\r\n" +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+    onConnection(new WebSocketConnection(socket));
+  });
+
+  return server;
+}
+
+module.exports = { createWebServer, WebSocketConnection, WS_PATH };
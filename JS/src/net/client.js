@@ -1,67 +1,280 @@
 // net/client.js
 // =======================================================
 // Client TCP : se connecte au serveur et affiche tout.
-// Quand le serveur envoie "prompt", on lit clavier et on répond.
+// Protocole v2 (net/protocol.js) : le serveur envoie des prompts typés,
+// le client affiche la question (src/Prompts.js), convertit la saisie et
+// répond par une valeur typée ({ type: "answer", id, value }).
+// Hors prompt, les lignes "/..." sont les commandes du lobby (/list, /create,
+// /join, /watch, /ready, /start, /leave) ; le reste est envoyé au chat
+// (/emote <nom> pour une emote, /emotes pour la liste).
+//
+// Reconnexion : le jeton de session reçu du serveur est gardé dans
+// ~/.flip7-session-<host>-<NAME>.json ; relancer la même commande après une
+// coupure reprend le siège (pendant le délai de grâce du serveur).
+//
+// Vue plein écran (--tui, src/TerminalUI.js) : table dessinée à partir des
+// messages "state", prompts à une touche (h / s / a, 1..9, y / n), ligne de
+// saisie en bas pour les commandes et le chat.
 //
 // Usage :
-//   node net/client.js <SERVER_IP> <NAME>
+//   node net/client.js <SERVER_IP> <NAME> [--tui]
 //
 // Ex :
 //   node net/client.js 192.168.1.10 Alice
+//   node net/client.js 192.168.1.10 Alice --tui
 // =======================================================
 
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
 const net = require("net");
 const readline = require("readline");
-const { sendJSON, makeLineParser } = require("./protocol");
+const { PROTOCOL_VERSION, sendJSON, makeLineParser } = require("./protocol");
+const Prompts = require("../src/Prompts");
+const TerminalUI = require("../src/TerminalUI");
+const { EMOTES } = require("./Chat");
 
-const host = process.argv[2];
-const name = process.argv[3];
+const [host, name] = process.argv.slice(2).filter((a) => !a.startsWith("--"));
 
 if (!host || !name) {
-  console.log("Usage: node net/client.js <SERVER_IP> <NAME>");
+  console.log("Usage: node net/client.js <SERVER_IP> <NAME> [--tui]");
+  process.exit(1);
+}
+
+if (process.argv.includes("--tui") && !TerminalUI.isSupported()) {
+  console.log("❌ --tui : terminal interactif requis.");
   process.exit(1);
 }
 
 const PORT = 5050;
+const SESSION_FILE = path.join(os.homedir(), `.flip7-session-${host}-${name}.json`.replace(/[^\w.-]/g, "_"));
 
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout,
-});
+function readToken() {
+  try {
+    return JSON.parse(fs.readFileSync(SESSION_FILE, "utf-8")).token;
+  } catch (err) {
+    return undefined; // pas de session précédente
+  }
+}
+
+function saveToken(token) {
+  try {
+    fs.writeFileSync(SESSION_FILE, JSON.stringify({ host, name, token }), "utf-8");
+  } catch (err) {
+    console.log(`⚠️ Jeton de session non sauvegardé (${err.message}) : pas de reconnexion possible.`);
+  }
+}
+
+// Affichage : lignes qui défilent (readline) ou vue plein écran (ui)
+const ui = process.argv.includes("--tui") ? new TerminalUI({ title: `${name} @ ${host}` }) : null;
+const rl = ui
+  ? null
+  : readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+    });
+
+function out(text) {
+  if (ui) ui.log(text);
+  else console.log(text);
+}
+
+// Prompt typé en cours ({ id, kind, ... }), null hors prompt ;
+// answered : dernier prompt répondu (redemandé si le serveur refuse la réponse)
+let current = null;
+let answered = null;
+
+function showPrompt() {
+  if (ui) {
+    const prompt = current;
+    ui.ask(prompt).then((value) => {
+      if (value !== null && current === prompt) sendAnswer(value);
+    });
+    return;
+  }
+  rl.setPrompt(Prompts.text(current));
+  rl.prompt();
+}
 
-function askLocal(question) {
-  return new Promise((resolve) => rl.question(question, resolve));
+// Réaffiche la question texte après une ligne de log (la vue plein écran la garde)
+function repeatPrompt() {
+  if (rl && current) showPrompt();
 }
 
+function sendAnswer(value) {
+  sendJSON(socket, { type: "answer", id: current.id, value });
+  answered = current;
+  current = null;
+}
+
+function showRooms(msg) {
+  if (msg.rooms.length === 0) out("Aucun salon. Crée-en un : /create <salon> [joueurs] [règles]");
+  else {
+    out("Salons :");
+    msg.rooms.forEach((r) => {
+      const state = r.status === "playing" ? "en partie" : r.resume ? "reprise en attente" : "en attente";
+      const watching = r.spectators > 0 ? ` | ${r.spectators} spectateur(s)` : "";
+      out(`  - ${r.name} : ${r.players}/${r.expected} joueurs | ${state} | règles ${r.rules}${watching}`);
+    });
+  }
+  if (msg.rules.length > 0) out(`Règles disponibles : ${msg.rules.join(", ")}`);
+}
+
+// Commandes du lobby : "/create salon 3 partie-courte" -> { type: "create", ... }
+function parseCommand(line) {
+  const [cmd, ...args] = line.slice(1).trim().split(/\s+/);
+  switch (cmd) {
+    case "list":
+      return { type: "list" };
+    case "create":
+      return { type: "create", room: args[0], players: args[1] !== undefined ? Number(args[1]) : undefined, rules: args[2] };
+    case "join":
+      return { type: "joinRoom", room: args[0] };
+    case "watch":
+      return { type: "watch", room: args[0] };
+    case "emote":
+      return { type: "emote", emote: args[0] };
+    case "leave":
+    case "ready":
+    case "start":
+      return { type: cmd };
+    default:
+      return null;
+  }
+}
+
+const HELP =
+  "Commandes : /list | /create <salon> [joueurs] [règles] | /join <salon> | /watch <salon> | /ready | /start | /leave | /emote <nom> | /emotes | texte = chat";
+
 const socket = net.createConnection({ host, port: PORT }, () => {
-  console.log(`✅ Connecté à ${host}:${PORT}`);
-  // join auto
-  sendJSON(socket, { type: "join", name });
+  if (ui) {
+    ui.onLine(handleLine);
+    ui.start();
+  }
+  out(`✅ Connecté à ${host}:${PORT}`);
+  // join auto (avec le jeton de la session précédente : reprise du siège)
+  sendJSON(socket, { type: "join", name, token: readToken(), versions: [PROTOCOL_VERSION] });
 });
 
 socket.on(
   "data",
-  makeLineParser(async (msg) => {
+  makeLineParser((msg) => {
     if (msg.type === "print") {
-      process.stdout.write(msg.text);
+      if (ui) ui.log(msg.text);
+      else process.stdout.write(msg.text);
+      return;
+    }
+
+    if (msg.type === "session") {
+      saveToken(msg.token);
       return;
     }
 
     if (msg.type === "prompt") {
-      // On affiche la question du serveur, et on répond
-      const ans = await askLocal(msg.text);
-      sendJSON(socket, { type: "input", value: ans });
+      // On affiche la question ; la prochaine ligne tapée est la réponse
+      current = msg;
+      showPrompt();
+      return;
+    }
+
+    if (msg.type === "timer") {
+      out(`⏳ Plus que ${msg.remaining} s pour répondre.`);
+      if (current && current.id === msg.id) repeatPrompt();
+      return;
+    }
+
+    if (msg.type === "promptExpired") {
+      out("⌛ Temps écoulé.");
+      if (current && current.id === msg.id) {
+        current = null;
+        if (ui) ui.cancelPrompt();
+      }
+      return;
+    }
+
+    if (msg.type === "error") {
+      out(`❌ ${msg.message}`);
+      if (msg.code === "unsupportedVersion" || msg.code === "nameTaken") return;
+      if (answered && msg.id === answered.id) {
+        current = answered; // réponse refusée : on redemande
+        showPrompt();
+      }
+      return;
+    }
+
+    if (msg.type === "chat") {
+      out(`💬 ${msg.from} : ${msg.text}`);
+      repeatPrompt();
       return;
     }
+
+    if (msg.type === "rooms") {
+      showRooms(msg);
+      return;
+    }
+
+    if (ui && msg.type === "state") {
+      ui.setState(msg.state);
+      return;
+    }
+
+    if (ui && msg.type === "room") {
+      ui.setStatus(msg.room ? `${msg.spectator ? "spectateur de" : "salon"} ${msg.room}` : "lobby");
+      if (!msg.room) ui.setState(null);
+      return;
+    }
+
+    // "welcome", "state" et "room" : rien à afficher en mode ligne (le log de la partie arrive en "print")
   })
 );
 
+// Chaque ligne tapée : une commande "/..." ou la réponse au prompt en cours
+// (en vue plein écran, les prompts se répondent d'une touche : current reste hors saisie)
+function handleLine(line) {
+  const text = line.trim();
+
+  if (text === "/emotes") {
+    out(Object.entries(EMOTES).map(([k, v]) => `${k} ${v}`).join(" | "));
+    if (rl && current) rl.prompt();
+    return;
+  }
+
+  if (text.startsWith("/")) {
+    const cmd = parseCommand(text);
+    if (cmd) sendJSON(socket, cmd);
+    else out(HELP);
+    if (rl && current) rl.prompt();
+    return;
+  }
+
+  if (rl && current) {
+    const r = Prompts.parseText(current, text);
+    if (r.error !== undefined) {
+      out(r.error);
+      showPrompt();
+      return;
+    }
+    sendAnswer(r.value);
+    return;
+  }
+
+  // Hors prompt : chat
+  if (text) sendJSON(socket, { type: "chat", text });
+}
+
+if (rl) rl.on("line", handleLine);
+
+function close() {
+  if (ui) ui.stop();
+  else rl.close();
+}
+
 socket.on("close", () => {
+  close();
   console.log("\n❌ Déconnecté du serveur.");
-  rl.close();
 });
 
 socket.on("error", (e) => {
+  close();
   console.log("Erreur socket:", e.message);
-  rl.close();
 });
@@ -1,11 +1,57 @@
 // net/protocol.js
 // Petit protocole "JSON par ligne".
 // Chaque message = un objet JSON stringify + "\n"
+// Sur WebSocket (net/WebSocket.js, chemin /ws) : un message par trame texte,
+// sans le "\n" ; mêmes messages, même négociation.
+//
+// Versions (négociées au join : le client annonce { versions: [...] },
+// le serveur répond { type: "welcome", version } avec la plus haute commune) :
+//   1 : texte libre — prompt { text } / input { value } (client sans "versions")
+//   2 : prompts typés (src/Prompts.js), réponses typées, erreurs explicites,
+//       état de la table, liste des salons structurée
+//
+// Client -> serveur :
+//   join     { name, token?, versions? }        identification (jeton : reprise du siège)
+//   list | create { room, players, rules? } | joinRoom { room } | leave | ready | start
+//   watch    { room }                           spectateur : log + état, jamais de prompt
+//   chat     { text } | emote { emote }         chat du salon (ou du lobby), net/Chat.js
+//   input    { value }                          v1 : réponse texte au prompt
+//   answer   { id, value }                      v2 : réponse typée au prompt id
+//
+// Serveur -> client :
+//   welcome  { version, versions }              version retenue
+//   session  { token }                          jeton pour revenir après une coupure
+//   print    { text }                           log de la partie / messages du lobby
+//   prompt   { text }                           v1
+//   prompt   { id, kind, player, ..., timeLimit }  v2 (kind : hitOrStay | chooseTarget | secondChance)
+//   timer    { id, remaining }                  v2 : rappel avant expiration du prompt
+//   promptExpired { id, value }                 v2 : temps écoulé, réponse par défaut appliquée
+//   state    { state }                          v2 : état public de la table (Game.snapshot)
+//   chat     { from, text, room, emote }       v2 : message de chat (v1 : print "💬 ...")
+//   rooms    { rooms, rules }                   v2 : réponse à list (rooms[i].spectators)
+//   room     { room, spectator }                v2 : salon courant (null = lobby), à chaque entrée / sortie
+//   error    { code, message, id? }             v2 : requête refusée (v1 : print "❌ ...")
+//     codes : unsupportedVersion, nameTaken, notIdentified, unknownMessage,
+//             lobby, noPrompt, invalidAnswer, chat, rateLimited
+
+const PROTOCOL_VERSION = 2;
+const SUPPORTED_VERSIONS = [1, 2];
 
 function sendJSON(socket, obj) {
   socket.write(JSON.stringify(obj) + "\n");
 }
 
+function sendError(socket, code, message, extra = {}) {
+  sendJSON(socket, { type: "error", code, message, ...extra });
+}
+
+// Plus haute version commune, ou null. Sans annonce : client historique (v1).
+function negotiateVersion(msg) {
+  const offered = Array.isArray(msg.versions) ? msg.versions : [1];
+  const common = SUPPORTED_VERSIONS.filter((v) => offered.includes(v));
+  return common.length > 0 ? Math.max(...common) : null;
+}
+
 // Découpe un flux TCP en lignes JSON
 function makeLineParser(onMessage) {
   let buf = "";
@@ -25,4 +71,4 @@ function makeLineParser(onMessage) {
   };
 }
 
-module.exports = { sendJSON, makeLineParser };
+module.exports = { PROTOCOL_VERSION, SUPPORTED_VERSIONS, sendJSON, sendError, negotiateVersion, makeLineParser };
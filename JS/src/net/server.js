@@ -2,44 +2,340 @@
 // ============================================================================
 // Serveur TCP "autoritaire" Flip7
 // - Le serveur garde l'état du jeu (deck, score, etc.)
-// - Les clients sont des terminaux (un par joueur)
+// - Les clients sont des terminaux (un par joueur) ou des navigateurs :
+//   net/WebSocket.js sert la page net/web/ et porte les mêmes messages JSON
+//   sur WebSocket
+// - Plusieurs salons (net/Room.js) jouent en même temps, chacun avec
+//   son nombre de joueurs et ses règles
 // - Chaque prompt est envoyé UNIQUEMENT au joueur concerné
-// - Tous les logs sont broadcast à tous (pour voir les cartes des autres)
+// - Les logs d'une partie sont broadcast aux membres du salon
+// - Le serveur reste lancé : une partie finie, le salon attend la suivante
+// - Chat et emotes (net/Chat.js) : au salon ou au lobby, limités en débit,
+//   écrits dans logs/chat_history.txt (jamais dans le log de la partie)
+// - Chaque joueur reçoit un jeton de session : déconnecté en pleine partie,
+//   il a un délai de grâce pour revenir (même nom + jeton) et reprendre son
+//   siège et son prompt ; après le délai, son siège passe au repli (stay / bot)
+//
+// Messages échangés : voir net/protocol.js (versions 1 et 2 négociées au join).
 // ============================================================================
 
 // net/server.js
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
 const net = require("net");
-const { sendJSON, makeLineParser } = require("./protocol");
-const Game = require("../src/Game");
+const { SUPPORTED_VERSIONS, sendJSON, sendError, negotiateVersion, makeLineParser } = require("./protocol");
+const { Room, MIN_PLAYERS, MAX_PLAYERS, FALLBACKS } = require("./Room");
+const { EMOTES, RateLimiter, cleanText } = require("./Chat");
+const { createWebServer, WS_PATH } = require("./WebSocket");
+const { getArgValue } = require("../src/Args");
+const Logger = require("../src/Logger");
+const Rules = require("../src/Rules");
+const SaveGame = require("../src/SaveGame");
 
 const HOST = "0.0.0.0";
 const PORT = 5050;
-const EXPECTED_PLAYERS = 2;
+const DEFAULT_PLAYERS = 2;
 
-const clients = []; // { socket, name, pendingResolve }
+// Fichiers de règles proposés aux salons : "/create salon 3 partie-courte"
+const RULES_DIR = path.join(__dirname, "..", "rules");
 
-function broadcast(text) {
-  for (const c of clients) sendJSON(c.socket, { type: "print", text });
-}
+// Seed optionnelle : "node net/server.js --seed 42" (première partie de chaque salon)
+const SEED = getArgValue(process.argv.slice(2), "--seed");
+
+// Règles par défaut des salons : "node net/server.js --rules variante.json" (src/Rules.js)
+const RULES_FILE = getArgValue(process.argv.slice(2), "--rules");
+const RULES = RULES_FILE ? Rules.load(RULES_FILE) : Rules.from();
+const RULES_NAME = RULES_FILE ? path.basename(RULES_FILE, ".json") : "standard";
+
+// Déconnexion en pleine partie : "--grace 60" secondes pour revenir, puis
+// "--fallback stay" (le siège s'arrête à chaque décision) ou "--fallback bot"
+const GRACE_SECONDS = Number(getArgValue(process.argv.slice(2), "--grace") ?? 60);
+const FALLBACK = getArgValue(process.argv.slice(2), "--fallback") ?? "stay";
 
-function getClientByName(name) {
-  return clients.find((c) => c.name === name);
+// Temps de réponse par prompt : "--turn-time 90" secondes (0 = illimité)
+const TURN_SECONDS = Number(getArgValue(process.argv.slice(2), "--turn-time") ?? 90);
+
+// Port HTTP du client navigateur et de la passerelle WebSocket : "--http-port 8080"
+const HTTP_PORT = Number(getArgValue(process.argv.slice(2), "--http-port") ?? 8080);
+
+if (!Number.isInteger(HTTP_PORT) || HTTP_PORT < 0) {
+  console.error("❌ --http-port : numéro de port attendu (0 = pas de client navigateur).");
+  process.exit(1);
+}
+if (!Number.isFinite(TURN_SECONDS) || TURN_SECONDS < 0) {
+  console.error("❌ --turn-time : nombre de secondes >= 0 attendu.");
+  process.exit(1);
 }
+if (!Number.isFinite(GRACE_SECONDS) || GRACE_SECONDS < 0) {
+  console.error("❌ --grace : nombre de secondes >= 0 attendu.");
+  process.exit(1);
+}
+if (!FALLBACKS[FALLBACK]) {
+  console.error(`❌ --fallback : ${Object.keys(FALLBACKS).join(" ou ")} attendu.`);
+  process.exit(1);
+}
+
+const rooms = new Map(); // nom -> Room
+// Sessions : { socket (null si déconnecté), name, version, token, room, pending, graceTimer }
+const clients = [];
 
-function askClient(name, question) {
-  const c = getClientByName(name);
-  if (!c) return Promise.resolve("s");
+// Sauvegarde après chaque décision, un fichier par salon ; reprise :
+// "node net/server.js --resume [fichier]" recrée les salons interrompus
+// (les joueurs reviennent avec les mêmes noms : /join <salon>)
+const SAVE_DIR = path.dirname(SaveGame.defaultPath());
+const SAVE_PATTERN = /^savegame-room-([A-Za-z0-9_-]+)\.json$/;
+
+function interruptedRooms() {
+  if (!fs.existsSync(SAVE_DIR)) return [];
+  return fs
+    .readdirSync(SAVE_DIR)
+    .map((f) => f.match(SAVE_PATTERN))
+    .filter(Boolean)
+    .map((m) => ({ name: m[1], file: path.join(SAVE_DIR, m[0]) }));
+}
 
-  return new Promise((resolve) => {
-    c.pendingResolve = resolve;
-    sendJSON(c.socket, { type: "prompt", text: question });
+function addResumedRoom(name, file) {
+  const resumeData = SaveGame.read(file);
+  const room = new Room(name, {
+    resumeData,
+    rules: Rules.from(resumeData.rules),
+    rulesName: "de la sauvegarde",
+    turnSeconds: TURN_SECONDS,
   });
+  rooms.set(name, room);
+  console.log(`➡️ Reprise du salon ${name} : attente de ${room.resumeNames.join(", ")}...`);
+}
+
+if (process.argv.includes("--resume")) {
+  const v = getArgValue(process.argv.slice(2), "--resume");
+  if (v && !v.startsWith("--")) addResumedRoom("reprise", v);
+  else interruptedRooms().forEach((r) => addResumedRoom(r.name, r.file));
+} else {
+  const saved = interruptedRooms();
+  if (saved.length > 0) {
+    console.log(`ℹ️ Parties interrompues trouvées (${saved.map((r) => r.name).join(", ")}) : relancer avec --resume pour les reprendre.`);
+  }
+}
+
+function reply(client, text) {
+  sendJSON(client.socket, { type: "print", text: text + "\n" });
+}
+
+// Requête refusée : message "error" typé (v2) ou ligne "❌ ..." (v1)
+function fail(client, code, message) {
+  if (client.version >= 2) sendError(client.socket, code, message);
+  else reply(client, `❌ ${message}`);
+}
+
+// Log du chat, séparé du log des parties (créé au premier message)
+let chatLog = null;
+
+// Message de chat ou emote : au salon de l'expéditeur, sinon au lobby
+function sendChat(client, msg) {
+  let text;
+  if (msg.type === "emote") {
+    text = EMOTES[msg.emote];
+    if (!text) return fail(client, "chat", `Emote inconnue : ${msg.emote} (${Object.keys(EMOTES).join(", ")})`);
+  } else {
+    text = cleanText(msg.text);
+    if (!text) return;
+  }
+  if (!client.chatLimiter.allow()) return fail(client, "rateLimited", "Trop de messages : attends quelques secondes.");
+
+  const room = client.room;
+  const audience = room ? room.audience() : clients.filter((c) => c.name && !c.room);
+  const payload = { type: "chat", from: client.name, text, room: room ? room.name : null, emote: msg.type === "emote" ? msg.emote : null };
+  for (const c of audience) {
+    if (!c.socket) continue;
+    if (c.version >= 2) sendJSON(c.socket, payload);
+    else sendJSON(c.socket, { type: "print", text: `💬 ${client.name} : ${text}\n` });
+  }
+
+  if (!chatLog) chatLog = new Logger(path.join(SAVE_DIR, "chat_history.txt"));
+  chatLog.log(`[CHAT ${room ? room.name : "lobby"}] ${client.name} : ${text}`);
+}
+
+function broadcastLobby(text) {
+  for (const c of clients) if (c.name && !c.room) sendJSON(c.socket, { type: "print", text });
+}
+
+// "partie-courte" -> rules/partie-courte.json (noms simples uniquement)
+function loadRoomRules(name) {
+  if (!name) return { rules: RULES, rulesName: RULES_NAME };
+  if (!Room.isValidName(name) || !availableRules().includes(name)) {
+    throw new Error(`Règles inconnues : ${name} (disponibles : ${availableRules().join(", ") || "aucune"})`);
+  }
+  return { rules: Rules.load(path.join(RULES_DIR, `${name}.json`)), rulesName: name };
+}
+
+function availableRules() {
+  if (!fs.existsSync(RULES_DIR)) return [];
+  return fs.readdirSync(RULES_DIR).filter((f) => f.endsWith(".json")).map((f) => path.basename(f, ".json"));
+}
+
+function listRooms(client) {
+  if (client.version >= 2) {
+    const list = [...rooms.values()].map((r) => ({
+      name: r.name,
+      players: r.members.length,
+      expected: r.expected,
+      status: r.status,
+      resume: Boolean(r.resumeNames),
+      spectators: r.spectators.length,
+      rules: r.rulesName,
+    }));
+    sendJSON(client.socket, { type: "rooms", rooms: list, rules: availableRules() });
+    return;
+  }
+
+  if (rooms.size === 0) reply(client, "Aucun salon. Crée-en un : /create <salon> [joueurs] [règles]");
+  else reply(client, ["Salons :", ...[...rooms.values()].map((r) => `  - ${r.summary()}`)].join("\n"));
+
+  const files = availableRules();
+  if (files.length > 0) reply(client, `Règles disponibles : ${files.join(", ")}`);
+}
+
+// v2 : salon courant du client (null = lobby), après chaque entrée / sortie
+function sendRoom(client) {
+  if (!client.socket || client.version < 2) return;
+  sendJSON(client.socket, { type: "room", room: client.room ? client.room.name : null, spectator: client.spectator });
+}
+
+function enterRoom(client, room) {
+  const err = room.canEnter(client);
+  if (err) return fail(client, "lobby", err);
+  room.add(client);
+  sendRoom(client);
+  room.rules.describe().forEach((line) => reply(client, `[RULES] ${line}`));
+}
+
+// Un salon vide est supprimé, sauf en partie ou s'il attend la reprise d'une partie
+function dropIfEmpty(room) {
+  if (room.audience().length === 0 && room.status === "waiting" && !room.resumeNames) {
+    rooms.delete(room.name);
+    console.log(`[ROOM] ${room.name} supprimé (vide)`);
+  }
+}
+
+// Départ d'un salon (commande /leave ou déconnexion)
+function leaveRoom(client) {
+  const room = client.room;
+  if (!room) return;
+  if (client.spectator) room.removeSpectator(client);
+  else room.remove(client, FALLBACK);
+  dropIfEmpty(room);
+}
+
+function handleCommand(client, msg) {
+  switch (msg.type) {
+    case "list":
+      return listRooms(client);
+
+    case "create": {
+      if (client.room) return fail(client, "lobby", `Tu es déjà dans ${client.room.name} (/leave d'abord).`);
+      const name = String(msg.room || "").trim();
+      if (!Room.isValidName(name)) return fail(client, "lobby", "Nom de salon invalide (lettres, chiffres, - et _, 20 max).");
+      if (rooms.has(name)) return fail(client, "lobby", `Le salon ${name} existe déjà.`);
+
+      const players = msg.players === undefined ? DEFAULT_PLAYERS : Number(msg.players);
+      if (!Number.isInteger(players) || players < MIN_PLAYERS || players > MAX_PLAYERS) {
+        return fail(client, "lobby", `Nombre de joueurs entre ${MIN_PLAYERS} et ${MAX_PLAYERS}.`);
+      }
+
+      let loaded;
+      try {
+        loaded = loadRoomRules(msg.rules);
+      } catch (err) {
+        return fail(client, "lobby", err.message);
+      }
+
+      const room = new Room(name, { players, ...loaded, seed: SEED, turnSeconds: TURN_SECONDS });
+      rooms.set(name, room);
+      console.log(`[ROOM] ${name} créé par ${client.name} (${players} joueurs, règles ${room.rulesName})`);
+      broadcastLobby(`🆕 Salon ${name} créé par ${client.name} (${players} joueurs, règles ${room.rulesName})\n`);
+      return enterRoom(client, room);
+    }
+
+    case "joinRoom": {
+      if (client.room) return fail(client, "lobby", `Tu es déjà dans ${client.room.name} (/leave d'abord).`);
+      const room = rooms.get(String(msg.room || "").trim());
+      if (!room) return fail(client, "lobby", `Salon inconnu : ${msg.room} (/list)`);
+      return enterRoom(client, room);
+    }
+
+    case "watch": {
+      if (client.room) return fail(client, "lobby", `Tu es déjà dans ${client.room.name} (/leave d'abord).`);
+      const room = rooms.get(String(msg.room || "").trim());
+      if (!room) return fail(client, "lobby", `Salon inconnu : ${msg.room} (/list)`);
+      room.addSpectator(client);
+      return sendRoom(client);
+    }
+
+    case "chat":
+    case "emote":
+      return sendChat(client, msg);
+
+    case "leave":
+      if (!client.room) return fail(client, "lobby", "Tu n'es dans aucun salon.");
+      leaveRoom(client);
+      sendRoom(client);
+      return reply(client, "Retour au lobby.");
+
+    case "ready":
+      if (!client.room) return fail(client, "lobby", "Tu n'es dans aucun salon.");
+      if (client.spectator) return fail(client, "lobby", "Un spectateur ne joue pas.");
+      if (client.room.status === "playing") return fail(client, "lobby", "Partie déjà en cours.");
+      return client.room.setReady(client);
+
+    case "start": {
+      const room = client.room;
+      if (!room) return fail(client, "lobby", "Tu n'es dans aucun salon.");
+      if (client.spectator) return fail(client, "lobby", "Un spectateur ne joue pas.");
+      const err = room.canStart();
+      if (err) return fail(client, "lobby", err);
+      // Tout le monde parti en cours de partie (sièges repris) : salon vide à la fin
+      room.play().then(() => dropIfEmpty(room));
+      return;
+    }
+
+    default:
+      return fail(client, "unknownMessage", `Message inconnu : ${msg.type}`);
+  }
 }
 
-const server = net.createServer((socket) => {
+// Fin de session : quitte le salon (repli du siège) et libère le nom
+function dropClient(client) {
+  clearTimeout(client.graceTimer);
+  client.graceTimer = null;
+  leaveRoom(client);
+  const i = clients.indexOf(client);
+  if (i >= 0) clients.splice(i, 1);
+  if (client.name) console.log(`❌ ${client.name} déconnecté`);
+}
+
+// Reprise d'une session par une nouvelle connexion (même nom + jeton)
+function resumeSession(session, socket) {
+  const old = session.socket;
+  session.socket = socket;
+  if (old) old.destroy(); // connexion fantôme : son "close" est ignoré
+
+  clearTimeout(session.graceTimer);
+  session.graceTimer = null;
+  console.log(`🔌 ${session.name} reconnecté`);
+
+  reply(session, `Bon retour ${session.name} !`);
+  sendRoom(session);
+  if (session.room) session.room.reconnected(session);
+  else listRooms(session);
+}
+
+// Une connexion (TCP ou WebSocket, voir net/WebSocket.js) : même traitement
+function handleConnection(socket) {
   socket.setNoDelay(true);
 
-  const client = { socket, name: null, pendingResolve: null };
+  // Remplacé par la session existante si le joueur revient (resumeSession)
+  let client = { socket, name: null, version: 1, token: null, room: null, spectator: false, pending: null, graceTimer: null, chatLimiter: new RateLimiter() };
   clients.push(client);
 
   sendJSON(socket, { type: "print", text: "✅ Connecté au serveur Flip7.\n" });
@@ -49,71 +345,87 @@ const server = net.createServer((socket) => {
     makeLineParser((msg) => {
       if (msg.type === "join" && typeof msg.name === "string") {
         const n = msg.name.trim();
-        if (clients.some((c) => c.name === n)) {
-          sendJSON(socket, { type: "print", text: `❌ Nom déjà pris: ${n}\n` });
+        if (client.name) return;
+
+        const version = negotiateVersion(msg);
+        if (version === null) {
+          sendError(socket, "unsupportedVersion", `Versions du protocole supportées : ${SUPPORTED_VERSIONS.join(", ")}`);
+          socket.end();
+          return;
+        }
+        sendJSON(socket, { type: "welcome", version, versions: SUPPORTED_VERSIONS });
+
+        const existing = clients.find((c) => c.name === n);
+        if (existing && typeof msg.token === "string" && msg.token === existing.token) {
+          clients.splice(clients.indexOf(client), 1);
+          client = existing;
+          client.version = version;
+          resumeSession(client, socket);
+          return;
+        }
+        client.version = version;
+        if (!n || existing) {
+          fail(client, "nameTaken", `Nom déjà pris: ${n}`);
           socket.end();
           return;
         }
         client.name = n;
-        broadcast(`👤 ${n} a rejoint (${clients.filter((c) => c.name).length}/${EXPECTED_PLAYERS})\n`);
-        tryStartGame();
+        client.token = crypto.randomBytes(16).toString("hex");
+        sendJSON(socket, { type: "session", token: client.token });
+        console.log(`👤 ${n} connecté`);
+        reply(client, `Bienvenue ${n} ! Commandes : /list, /create <salon> [joueurs] [règles], /join <salon>, /watch <salon>, /ready, /start, /leave ; texte libre = chat, /emote <nom>`);
+        listRooms(client);
         return;
       }
 
-      if (msg.type === "input" && typeof msg.value === "string") {
-        if (client.pendingResolve) {
-          const r = client.pendingResolve;
-          client.pendingResolve = null;
-          r(msg.value.trim().toLowerCase());
-        }
+      if (!client.name) {
+        fail(client, "notIdentified", "Identifie-toi d'abord (join).");
+        return;
+      }
+
+      if (msg.type === "input" || msg.type === "answer") {
+        if (client.room) client.room.answer(client, msg);
+        else if (msg.type === "answer") sendError(socket, "noPrompt", "Aucune question en attente.", { id: msg.id });
         return;
       }
+      handleCommand(client, msg);
     })
   );
 
   socket.on("close", () => {
-    const i = clients.indexOf(client);
-    if (i >= 0) clients.splice(i, 1);
-    broadcast("❌ Un joueur s'est déconnecté.\n");
+    if (client.socket !== socket) return; // session reprise par une autre connexion
+    client.socket = null;
+
+    // En pleine partie : le siège attend son joueur pendant le délai de grâce
+    if (client.room && client.room.isPlaying(client.name)) {
+      console.log(`⚠️ ${client.name} déconnecté (${GRACE_SECONDS} s pour revenir)`);
+      client.room.disconnected(client, GRACE_SECONDS);
+      client.graceTimer = setTimeout(() => dropClient(client), GRACE_SECONDS * 1000);
+      return;
+    }
+    dropClient(client);
   });
 
   socket.on("error", () => {});
-});
+}
+
+const server = net.createServer(handleConnection);
 
 server.listen(PORT, HOST, () => {
   console.log(`✅ Serveur Flip7 TCP lancé sur ${HOST}:${PORT}`);
-  console.log(`➡️ Attente de ${EXPECTED_PLAYERS} joueurs...`);
+  console.log(`➡️ Règles par défaut des salons : ${RULES_NAME}`);
+  console.log(`➡️ Temps de réponse : ${TURN_SECONDS > 0 ? `${TURN_SECONDS} s par prompt` : "illimité"}`);
+  console.log(`➡️ Déconnexion en partie : ${GRACE_SECONDS} s pour revenir, puis siège "${FALLBACK}"`);
 });
 
-let started = false;
-
-async function tryStartGame() {
-  if (started) return;
-
-  const ready = clients.filter((c) => c.name);
-  if (ready.length < EXPECTED_PLAYERS) return;
-
-  started = true;
-  const names = ready.slice(0, EXPECTED_PLAYERS).map((c) => c.name);
-
-  broadcast("\n=== Tous les joueurs sont connectés. Démarrage ! ===\n\n");
-
-  const io = {
-    log: (text) => broadcast(text + "\n"),
-    ask: (playerName, question) => askClient(playerName, question),
-    close: () => broadcast("\n=== Partie terminée ===\n"),
-  };
-
-  // ✅ DEBUG IMPORTANT : on affiche si io est bien injecté
-  console.log("DEBUG server: launching Game with io =", !!io, "ask=", typeof io.ask, "log=", typeof io.log);
-
-  const game = new Game(names, { mode: "interactive", io });
-
-  // ✅ DEBUG IMPORTANT : si ton Game n’a pas this.io, ça va se voir ici
-  console.log("DEBUG server: Game created. game.io exists =", !!game.io);
-
-  await game.start();
-
-  io.close();
-  process.exit(0);
+// Client navigateur + WebSocket (mêmes messages JSON) ; "--http-port 0" pour désactiver
+if (HTTP_PORT > 0) {
+  const web = createWebServer(handleConnection);
+  // Port HTTP indisponible : le serveur TCP continue sans client navigateur
+  web.on("error", (err) => {
+    console.log(`⚠️ Client navigateur indisponible (port ${HTTP_PORT} : ${err.code || err.message}). Serveur TCP seul.`);
+  });
+  web.listen(HTTP_PORT, HOST, () => {
+    console.log(`🌐 Client navigateur : http://localhost:${HTTP_PORT}/ (WebSocket ${WS_PATH})`);
+  });
 }
@@ -0,0 +1,298 @@
+// net/web/app.js
+// =======================================================
+// Client navigateur Flip 7 (servi par net/WebSocket.js).
+// Même protocole v2 que le client terminal (net/protocol.js), sur WebSocket :
+// - join avec le jeton de session gardé dans localStorage (reprise du siège)
+// - lobby : liste des salons, créer / rejoindre / regarder
+// - table : rangée, scores et taille de la pioche (messages "state")
+// - prompts typés en boutons : Hit / Stay / Conseil, cibles, SecondChance
+// =======================================================
+
+(() => {
+  const PROTOCOL_VERSIONS = [2];
+
+  const $ = (id) => document.getElementById(id);
+
+  let ws = null;
+  let name = null;
+  let room = null; // { room, spectator } ; null = lobby
+  let current = null; // prompt typé en cours
+  let answered = null; // dernier prompt répondu (redemandé si refusé)
+  let countdown = null;
+
+  function send(msg) {
+    if (ws && ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(msg));
+  }
+
+  function tokenKey() {
+    return `flip7-session-${location.host}-${name}`;
+  }
+
+  // ---------------------------------------------------------------
+  // Log (partie, lobby, chat, erreurs)
+  // ---------------------------------------------------------------
+  function log(text, cls = null) {
+    const el = document.createElement("span");
+    if (cls) el.className = cls;
+    el.textContent = text.endsWith("\n") ? text : text + "\n";
+    const box = $("log");
+    box.appendChild(el);
+    box.scrollTop = box.scrollHeight;
+  }
+
+  // ---------------------------------------------------------------
+  // Vues
+  // ---------------------------------------------------------------
+  function showView() {
+    $("login").hidden = ws !== null;
+    $("side").hidden = ws === null;
+    $("lobby").hidden = ws === null || room !== null;
+    $("table").hidden = room === null;
+    if (room) {
+      $("room-title").textContent = room.spectator ? `${room.room} (spectateur)` : room.room;
+      $("ready").hidden = room.spectator;
+      $("start").hidden = room.spectator;
+    }
+  }
+
+  function showRooms(msg) {
+    const body = $("rooms").querySelector("tbody");
+    body.replaceChildren();
+    if (msg.rooms.length === 0) {
+      const tr = body.insertRow();
+      const td = tr.insertCell();
+      td.colSpan = 5;
+      td.textContent = "Aucun salon. Crée-en un ci-dessous.";
+    }
+    msg.rooms.forEach((r) => {
+      const tr = body.insertRow();
+      const state = r.status === "playing" ? "en partie" : r.resume ? "reprise en attente" : "en attente";
+      tr.insertCell().textContent = r.name;
+      tr.insertCell().textContent = `${r.players}/${r.expected}` + (r.spectators > 0 ? ` (+${r.spectators} 👀)` : "");
+      tr.insertCell().textContent = state;
+      tr.insertCell().textContent = r.rules;
+      const actions = tr.insertCell();
+      if (r.status !== "playing") actions.appendChild(button("Rejoindre", () => send({ type: "joinRoom", room: r.name })));
+      actions.appendChild(button("Regarder", () => send({ type: "watch", room: r.name })));
+    });
+
+    const select = $("room-rules");
+    select.replaceChildren(new Option("standard", ""));
+    msg.rules.forEach((r) => select.appendChild(new Option(r, r)));
+  }
+
+  function button(label, onClick) {
+    const b = document.createElement("button");
+    b.type = "button";
+    b.textContent = label;
+    b.addEventListener("click", onClick);
+    return b;
+  }
+
+  function cardLabel(c) {
+    if (c.type === "number") return String(c.value);
+    if (c.type === "modifier") return c.value === "x2" ? "x2" : `+${c.value}`;
+    return c.value; // action
+  }
+
+  // État public de la table (Game.snapshot)
+  function showState(state) {
+    $("table-info").textContent =
+      `Manche ${state.round} | donneur ${state.dealer} | pioche ${state.deck} | défausse ${state.discard} | objectif ${state.targetScore}`;
+
+    const players = $("players");
+    players.replaceChildren();
+    state.players.forEach((p) => {
+      const div = document.createElement("div");
+      div.className = "player";
+      if (p.name === state.turn) div.classList.add("turn");
+      if (!p.active || p.eliminated) div.classList.add("out");
+
+      const scores = document.createElement("span");
+      scores.className = "scores";
+      scores.textContent = `manche ${p.roundScore} | total ${p.totalScore}`;
+
+      const title = document.createElement("strong");
+      const status = p.eliminated ? " 💥" : !p.active ? " ✋" : "";
+      title.textContent = `${p.name}${p.name === name ? " (toi)" : ""}${p.secondChance ? " 🛡️" : ""}${status}`;
+
+      const row = document.createElement("div");
+      p.row.forEach((c) => {
+        const span = document.createElement("span");
+        span.className = `card ${c.type}`;
+        span.textContent = cardLabel(c);
+        row.appendChild(span);
+      });
+
+      div.append(scores, title, row);
+      players.appendChild(div);
+    });
+  }
+
+  // ---------------------------------------------------------------
+  // Prompts typés (src/Prompts.js)
+  // ---------------------------------------------------------------
+  function answer(value) {
+    if (!current) return;
+    send({ type: "answer", id: current.id, value });
+    answered = current;
+    hidePrompt();
+  }
+
+  function showPrompt(prompt) {
+    current = prompt;
+    const buttons = $("prompt-buttons");
+    buttons.replaceChildren();
+
+    switch (prompt.kind) {
+      case "hitOrStay":
+        $("prompt-text").textContent = `${prompt.player}, à toi :`;
+        buttons.append(button("Hit", () => answer("hit")), button("Stay", () => answer("stay")), button("Conseil", () => answer("advice")));
+        break;
+      case "chooseTarget":
+        $("prompt-text").textContent =
+          prompt.action === "SecondChance" ? "SecondChance en trop : à qui la donner ?" : `${prompt.action} : choisis une cible`;
+        prompt.candidates.forEach((c) => buttons.appendChild(button(c.name, () => answer(c.id))));
+        break;
+      case "secondChance":
+        $("prompt-text").textContent = `Doublon (${prompt.card}) : utiliser SecondChance ?`;
+        buttons.append(button("Oui", () => answer(true)), button("Non", () => answer(false)));
+        break;
+      default:
+        $("prompt-text").textContent = `Prompt inconnu : ${prompt.kind}`;
+    }
+
+    startCountdown(prompt.timeLimit);
+    $("prompt").hidden = false;
+  }
+
+  function hidePrompt() {
+    current = null;
+    clearInterval(countdown);
+    $("prompt").hidden = true;
+  }
+
+  function startCountdown(seconds) {
+    clearInterval(countdown);
+    $("prompt-timer").textContent = "";
+    if (!seconds) return;
+    const end = Date.now() + seconds * 1000;
+    const tick = () => {
+      const left = Math.max(0, Math.ceil((end - Date.now()) / 1000));
+      $("prompt-timer").textContent = `⏳ ${left} s`;
+    };
+    tick();
+    countdown = setInterval(tick, 1000);
+  }
+
+  // ---------------------------------------------------------------
+  // Messages du serveur
+  // ---------------------------------------------------------------
+  function onMessage(msg) {
+    switch (msg.type) {
+      case "welcome":
+        $("status").textContent = `Connecté : ${name} (protocole v${msg.version})`;
+        return;
+      case "session":
+        localStorage.setItem(tokenKey(), msg.token);
+        return;
+      case "print":
+        log(msg.text);
+        return;
+      case "rooms":
+        showRooms(msg);
+        return;
+      case "room":
+        room = msg.room ? { room: msg.room, spectator: msg.spectator } : null;
+        if (!room) {
+          $("players").replaceChildren();
+          $("table-info").textContent = "";
+          hidePrompt();
+          send({ type: "list" });
+        }
+        showView();
+        return;
+      case "state":
+        showState(msg.state);
+        return;
+      case "prompt":
+        showPrompt(msg);
+        return;
+      case "timer":
+        log(`⏳ Plus que ${msg.remaining} s pour répondre.`);
+        return;
+      case "promptExpired":
+        log("⌛ Temps écoulé.");
+        if (current && current.id === msg.id) hidePrompt();
+        return;
+      case "chat":
+        log(`💬 ${msg.from} : ${msg.text}`, "chat");
+        return;
+      case "error":
+        log(`❌ ${msg.message}`, "error");
+        if (answered && msg.id === answered.id) showPrompt(answered); // réponse refusée : on redemande
+        return;
+      default:
+        return;
+    }
+  }
+
+  // ---------------------------------------------------------------
+  // Connexion
+  // ---------------------------------------------------------------
+  function connect() {
+    const scheme = location.protocol === "https:" ? "wss" : "ws";
+    ws = new WebSocket(`${scheme}://${location.host}/ws`);
+
+    ws.addEventListener("open", () => {
+      const token = localStorage.getItem(tokenKey()) || undefined;
+      send({ type: "join", name, token, versions: PROTOCOL_VERSIONS });
+      showView();
+    });
+    ws.addEventListener("message", (e) => {
+      try {
+        onMessage(JSON.parse(e.data));
+      } catch (err) {
+        // ignore message invalide
+      }
+    });
+    ws.addEventListener("close", () => {
+      ws = null;
+      room = null;
+      hidePrompt();
+      $("status").textContent = "Déconnecté";
+      showView();
+    });
+  }
+
+  $("login-form").addEventListener("submit", (e) => {
+    e.preventDefault();
+    name = $("name").value.trim();
+    if (name) connect();
+  });
+
+  $("create-form").addEventListener("submit", (e) => {
+    e.preventDefault();
+    send({
+      type: "create",
+      room: $("room-name").value.trim(),
+      players: Number($("room-players").value),
+      rules: $("room-rules").value || undefined,
+    });
+  });
+
+  $("refresh").addEventListener("click", () => send({ type: "list" }));
+  $("ready").addEventListener("click", () => send({ type: "ready" }));
+  $("start").addEventListener("click", () => send({ type: "start" }));
+  $("leave").addEventListener("click", () => send({ type: "leave" }));
+
+  // Chat : "/emote gg" pour une emote, sinon texte libre
+  $("chat-form").addEventListener("submit", (e) => {
+    e.preventDefault();
+    const text = $("chat").value.trim();
+    if (!text) return;
+    const emote = text.match(/^\/emote\s+(\S+)/);
+    send(emote ? { type: "emote", emote: emote[1] } : { type: "chat", text });
+    $("chat").value = "";
+  });
+})();
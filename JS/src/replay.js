@@ -0,0 +1,134 @@
+// ============================================================================
+// replay.js
+// ============================================================================
+// Rejoue une partie enregistrée (logs/records/*.json) à travers le moteur.
+//
+// Usage :
+//   node replay.js <record.json>          -> vitesse max
+//   node replay.js <record.json> --step   -> pas à pas (Entrée à chaque décision)
+//
+// Principe :
+// - On recrée un Game avec la même seed, les mêmes joueurs et options
+// - Toutes les décisions (hit/stay, cibles, SecondChance) viennent du record
+//   (options.decisionSource) : aucun prompt, aucun mode auto
+// - On vérifie au fil de l'eau que chaque carte tirée est celle du record,
+//   puis que les scores finaux sont identiques
+//
+// Code de sortie : 0 si le rejeu est conforme, 1 sinon.
+// ============================================================================
+
+const readline = require("readline");
+const Game = require("./src/Game");
+const GameRecorder = require("./src/GameRecorder");
+
+function ask(rl, question) {
+  return new Promise((resolve) => {
+    rl.question(question, resolve);
+  });
+}
+
+function cardLabel(c) {
+  return `${c.type}:${c.value}`;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const file = args.find((a) => !a.startsWith("--"));
+  let step = args.includes("--step");
+
+  if (!file) {
+    console.log("Usage: node replay.js <record.json> [--step]");
+    process.exit(1);
+  }
+
+  const record = GameRecorder.load(file);
+  const timeline = GameRecorder.timeline(record);
+  const expectedCards = timeline.filter((e) => e.type === "card");
+  const expectedDecisions = timeline.filter((e) => e.type === "decision");
+
+  console.log(`[REPLAY] ${file}`);
+  console.log(`[REPLAY] Seed=${record.seed} | joueurs=${record.players.join(", ")} | tours=${record.rounds.length}`);
+
+  const rl = step ? readline.createInterface({ input: process.stdin, output: process.stdout }) : null;
+
+  // ---------------------------------------------------------------------------
+  // Source de décisions : le record, dans l'ordre
+  // ---------------------------------------------------------------------------
+  let decisionIndex = 0;
+  const decisionSource = {
+    next: async (kind, playerName) => {
+      const d = expectedDecisions[decisionIndex++];
+      if (!d) return undefined;
+      if (d.kind !== kind || d.player !== playerName) {
+        throw new Error(
+          `Décision #${decisionIndex} désynchronisée : attendu ${d.kind}/${d.player}, moteur demande ${kind}/${playerName}.`
+        );
+      }
+
+      if (step) {
+        const ans = await ask(rl, `[REPLAY] ${playerName} -> ${kind}=${d.value}  (Entrée = suivant, c = continuer sans pause) `);
+        if (ans.trim().toLowerCase().startsWith("c")) step = false;
+      }
+      return d.value;
+    },
+  };
+
+  // Pas de fichier de log ni de nouveau record pendant un rejeu
+  const io = { log: (text) => console.log(text) };
+
+  const game = new Game(record.players, {
+    mode: record.options.mode,
+    autoTarget: record.options.autoTarget,
+    rules: record.options.rules,
+    deck: record.options.deck,
+    seed: record.seed,
+    io,
+    decisionSource,
+    record: false,
+  });
+
+  // ---------------------------------------------------------------------------
+  // Vérification carte par carte
+  // ---------------------------------------------------------------------------
+  let cardIndex = 0;
+  const divergences = [];
+
+  game.on("cardDealt", (e) => {
+    const expected = expectedCards[cardIndex++];
+    const got = { player: e.player, card: { type: e.card.type, value: e.card.value } };
+
+    if (!expected || expected.player !== got.player || cardLabel(expected.card) !== cardLabel(got.card)) {
+      const exp = expected ? `${expected.player} <- ${cardLabel(expected.card)}` : "(fin du record)";
+      divergences.push(`carte #${cardIndex} : attendu ${exp}, obtenu ${got.player} <- ${cardLabel(got.card)}`);
+    }
+  });
+
+  await game.start();
+  if (rl) rl.close();
+
+  // ---------------------------------------------------------------------------
+  // Verdict
+  // ---------------------------------------------------------------------------
+  for (const f of record.final) {
+    const p = game.players.find((x) => x.name === f.player);
+    if (!p || p.totalScore !== f.totalScore) {
+      divergences.push(`score final de ${f.player} : attendu ${f.totalScore}, obtenu ${p ? p.totalScore : "?"}`);
+    }
+  }
+  if (cardIndex !== expectedCards.length) {
+    divergences.push(`${expectedCards.length} cartes dans le record, ${cardIndex} rejouées`);
+  }
+
+  if (divergences.length > 0) {
+    console.log("[REPLAY] ❌ Rejeu NON conforme :");
+    divergences.forEach((d) => console.log(`  - ${d}`));
+    process.exit(1);
+  }
+
+  console.log(`[REPLAY] ✅ Rejeu conforme : ${cardIndex} cartes, ${decisionIndex} décisions, scores finaux identiques.`);
+}
+
+main().catch((err) => {
+  console.error("❌ Erreur fatale :", err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,79 @@
+// ============================================================================
+// simulate.js
+// ============================================================================
+// Simulation non interactive : N parties entre bots + rapport statistique.
+//
+// Usage :
+//   node simulate.js --games 1000 --strategies threshold:4,advisor,threshold:6 [--seed 42] [--rules variante.json]
+//
+// Stratégies (une par siège, séparées par des virgules) :
+//   threshold:N   bot seuil (STAY à N nombres distincts)
+//   advisor       bot espérance (suit l’IA conseillère)
+//   advisor:D     bot espérance avec un lookahead de D tirages
+//
+// Aucun log par ligne, aucun fichier écrit : seul le rapport final est affiché.
+// La seed de base est affichée : la même commande avec --seed rejoue la simulation.
+// ============================================================================
+
+const { getArgValue } = require("./src/Args");
+const Rules = require("./src/Rules");
+const Simulation = require("./src/Simulation");
+const { parseStrategySpec } = require("./src/Strategy");
+
+function pct(x) {
+  return `${(x * 100).toFixed(1)}%`;
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+
+  const games = parseInt(getArgValue(argv, "--games") || "100", 10);
+  if (Number.isNaN(games) || games < 1) throw new Error("--games doit être un entier >= 1.");
+
+  const rulesFile = getArgValue(argv, "--rules");
+  const rules = rulesFile ? Rules.load(rulesFile) : Rules.from();
+
+  const specs = (getArgValue(argv, "--strategies") || "threshold:4,advisor")
+    .split(",")
+    .map((text) => parseStrategySpec(text, rules));
+  const seed = getArgValue(argv, "--seed");
+
+  const sim = new Simulation(specs, {
+    games,
+    seed,
+    rules,
+    onProgress: (done, total) => {
+      if (process.stdout.isTTY) process.stdout.write(`\r[SIM] ${done}/${total} parties`);
+    },
+  });
+
+  const report = await sim.run();
+  if (process.stdout.isTTY) process.stdout.write("\n");
+
+  console.log(`[SIM] ${report.games} parties | seed de base=${report.baseSeed} | tours/partie=${report.averageRounds.toFixed(2)}`);
+  rules.describe().forEach((line) => console.log(`[RULES] ${line}`));
+  console.log("");
+
+  const rows = report.strategies.map((s) => [
+    s.label,
+    pct(s.winRate),
+    s.meanFinalScore.toFixed(1),
+    s.varianceFinalScore.toFixed(1),
+    pct(s.bustRate),
+    pct(s.flip7Rate),
+    s.averageRoundScore.toFixed(2),
+  ]);
+  const header = ["Stratégie", "Victoires", "Score moy.", "Variance", "Bust", "Flip 7", "Score/tour"];
+
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map((r) => r[i].length)));
+  const line = (cells) => cells.map((c, i) => (i === 0 ? c.padEnd(widths[i]) : c.padStart(widths[i]))).join("  ");
+
+  console.log(line(header));
+  console.log(widths.map((w) => "-".repeat(w)).join("  "));
+  rows.forEach((r) => console.log(line(r)));
+}
+
+main().catch((err) => {
+  console.error("❌ Erreur fatale :", err.message || err);
+  process.exit(1);
+});
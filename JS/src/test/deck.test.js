@@ -0,0 +1,122 @@
+// test/deck.test.js
+// =======================================================
+// Pioche imposée (src/Deck.js, option stack ; Game : options.deck) :
+// notation, ordre de pioche, reste du jeu, écarts avec les règles.
+// =======================================================
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const Deck = require("../Deck");
+const Game = require("../Game");
+const Rules = require("../Rules");
+const { num, mod, act, makeGame, listen } = require("./helpers");
+
+const drawAll = (deck) => {
+  const cards = [];
+  for (let c = deck.draw(); c; c = deck.draw()) cards.push(c);
+  return cards;
+};
+
+test("notation compacte : nombres, modificateurs et actions (alias, sans casse)", () => {
+  const { cards, fill } = Deck.parseStack("5, freeze,12 x2;+4  flip3 SC 0");
+
+  assert.equal(fill, false);
+  assert.deepEqual(cards, [
+    num(5),
+    act("Freeze"),
+    num(12),
+    mod("x2"),
+    mod(4),
+    act("FlipThree"),
+    act("SecondChance"),
+    num(0),
+  ]);
+  assert.deepEqual(cards.map(Deck.label), ["5", "Freeze", "12", "x2", "+4", "FlipThree", "SecondChance", "0"]);
+});
+
+test("tableau : tokens, cartes et objets JSON mélangés", () => {
+  const { cards } = Deck.parseStack([5, "Freeze", num(3), { type: "modifier", value: 10 }]);
+  assert.deepEqual(cards, [num(5), act("Freeze"), num(3), mod(10)]);
+});
+
+test("carte inconnue ou pioche vide : erreur", () => {
+  assert.throws(() => Deck.parseStack("5, Joker"), /Carte inconnue "Joker"/);
+  assert.throws(() => Deck.parseStack([{ type: "bonus", value: 1 }]), /Carte invalide/);
+  assert.throws(() => Deck.parseStack(""), /Pioche imposée vide/);
+});
+
+test("les cartes sortent dans l'ordre donné, sans mélange", () => {
+  const deck = new Deck({ seed: 1, stack: "5, Freeze, 5" });
+
+  assert.deepEqual(drawAll(deck), [num(5), act("Freeze"), num(5)]);
+});
+
+test("fill : les cartes imposées d'abord, puis le reste du jeu mélangé", () => {
+  const deck = new Deck({ seed: 1, stack: { cards: "12, 12, Freeze", fill: true } });
+
+  assert.equal(deck.size(), 94);
+  assert.deepEqual(deck.warnings, []);
+  const cards = drawAll(deck);
+  assert.deepEqual(cards.slice(0, 3), [num(12), num(12), act("Freeze")]);
+
+  const count = (c) => cards.filter((x) => x.type === c.type && x.value === c.value).length;
+  assert.equal(count(num(12)), 12);
+  assert.equal(count(act("Freeze")), 3);
+});
+
+test("fill : même seed => même reste du jeu", () => {
+  const a = new Deck({ seed: 7, stack: { cards: "3", fill: true } });
+  const b = new Deck({ seed: 7, stack: { cards: "3", fill: true } });
+  assert.deepEqual(a.cards, b.cards);
+});
+
+test("écarts avec les règles : cartes en trop et taille du jeu", () => {
+  const rules = Rules.from({ actions: { Freeze: 1 } });
+  const deck = new Deck({ seed: 1, rules, stack: "Freeze, Freeze, 1, 1, 5" });
+
+  assert.deepEqual(deck.warnings, [
+    { card: { type: "action", value: "Freeze" }, count: 2, expected: 1 },
+    { card: { type: "number", value: 1 }, count: 2, expected: 1 },
+    { card: null, count: 5, expected: rules.deckSize() },
+  ]);
+});
+
+test("Game : la pioche imposée et ses écarts sont annoncés au début de la partie", async () => {
+  const game = makeGame(["A", "B"], { deck: "1, 1", rules: { targetScore: 1 } });
+  const events = listen(game, ["gameStart"]);
+
+  await game.start();
+
+  assert.deepEqual(events[0].deck, {
+    cards: [
+      { type: "number", value: 1 },
+      { type: "number", value: 1 },
+    ],
+    fill: false,
+    warnings: [
+      { card: { type: "number", value: 1 }, count: 2, expected: 1 },
+      { card: null, count: 2, expected: 94 },
+    ],
+  });
+});
+
+test("Game : le comptage des cartes suit la pioche imposée (conseil IA possible)", () => {
+  const game = makeGame(["A", "B"], { deck: "5, 5, 5" });
+
+  const tracking = game.cardTracking();
+  assert.equal(tracking.unseen.length, 3);
+  assert.equal(game.computeAdviceForPlayer(game.players[0], { explain: false }).suggestion, "HIT");
+});
+
+test("sauvegarde : la pioche imposée est restaurée avec la partie", () => {
+  const game = makeGame(["A", "B"], { deck: "5, 5, 5" });
+  game.players[0].place(game.drawCard());
+
+  const data = JSON.parse(JSON.stringify(game.toSaveData()));
+  data.seats = [{ type: "threshold", threshold: 3 }, { type: "threshold", threshold: 3 }]; // sièges scriptés : non sauvegardables
+  const resumed = Game.fromSave(data, { record: false, textLog: false });
+
+  assert.deepEqual(resumed.deck.cards, [num(5), num(5)]);
+  assert.equal(resumed.cardTracking().unseen.length, 2);
+});
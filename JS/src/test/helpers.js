@@ -0,0 +1,71 @@
+// test/helpers.js
+// =======================================================
+// Outils communs aux tests (node:test) :
+// - cartes abrégées : num(5), mod("x2"), mod(4), act("Freeze")
+// - ScriptedStrategy : décisions écrites d'avance (hit/stay, cible, SecondChance)
+// - makeGame : partie silencieuse (ni log, ni record, ni sauvegarde)
+//   dont la pioche est imposée (options.deck de Game : première carte = première piochée)
+// - listen : journal des événements émis par Game
+// =======================================================
+
+const Card = require("../Card");
+const Game = require("../Game");
+const { Strategy } = require("../Strategy");
+
+const num = (value) => new Card("number", value);
+const mod = (value) => new Card("modifier", value);
+const act = (value) => new Card("action", value);
+
+class ScriptedStrategy extends Strategy {
+  // options :
+  //   moves        : ["hit", "stay", ...] dans l'ordre (épuisé => "stay")
+  //   target       : (actor, candidates, action) => Player (défaut : premier candidat)
+  //   secondChance : réponse au doublon (défaut : true)
+  constructor(options = {}) {
+    super("scripté");
+    this.moves = [...(options.moves || [])];
+    this.target = options.target || ((actor, candidates) => candidates[0]);
+    this.secondChance = options.secondChance !== undefined ? options.secondChance : true;
+  }
+
+  async decideHitOrStay() {
+    return this.moves.length > 0 ? this.moves.shift() : "stay";
+  }
+
+  async chooseTarget(game, actor, candidates, action) {
+    return this.target(actor, candidates, action);
+  }
+
+  async useSecondChance() {
+    return this.secondChance;
+  }
+
+  toJSON() {
+    return { type: "scripted" };
+  }
+}
+
+// names : noms des joueurs ; strategies : une option de ScriptedStrategy par joueur
+// deck : cartes ou notation compacte ("5, Freeze, 5") ; absent => pioche vide
+function makeGame(names, { strategies = [], deck, rules } = {}) {
+  const game = new Game(names, {
+    strategies: names.map((_, i) => new ScriptedStrategy(strategies[i])),
+    seed: 1,
+    rules,
+    deck,
+    io: { log: () => {} },
+    textLog: false,
+    record: false,
+  });
+  if (!deck) game.deck.cards = [];
+  return game;
+}
+
+// Journal des événements demandés, dans l'ordre d'émission : [{ name, ...payload }]
+function listen(game, names) {
+  const events = [];
+  names.forEach((name) => game.on(name, (payload) => events.push({ name, ...payload })));
+  return events;
+}
+
+module.exports = { num, mod, act, ScriptedStrategy, makeGame, listen };
@@ -0,0 +1,63 @@
+// test/messages.test.js
+// =======================================================
+// Langue des textes (src/Messages.js, option lang de Game) :
+// catalogues complets, prompts et conseil IA traduits.
+// =======================================================
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const Game = require("../Game");
+const Prompts = require("../Prompts");
+const TerminalUI = require("../TerminalUI");
+const { LANGUAGES, messages } = require("../Messages");
+const { ScriptedStrategy, makeGame } = require("./helpers");
+
+test("chaque langue a les mêmes entrées que le français", () => {
+  const keys = Object.keys(messages("fr")).sort();
+  LANGUAGES.forEach((lang) => assert.deepEqual(Object.keys(messages(lang)).sort(), keys, lang));
+});
+
+test("prompts : erreurs de saisie et de validation dans la langue demandée", () => {
+  const prompt = { kind: "chooseTarget", player: "A", action: "Freeze", candidates: [{ id: 1, name: "B" }] };
+
+  assert.deepEqual(Prompts.parseText(prompt, "9", "en"), { error: messages("en").invalidChoice });
+  assert.equal(Prompts.validate(prompt, 5, "en"), "Expected target: 1 (B)");
+  assert.equal(Prompts.validate({ kind: "secondChance" }, "y", "en"), "Expected answer: true | false");
+  assert.equal(Prompts.validate(prompt, 5), "Cible attendue : 1 (B)");
+});
+
+test("conseil IA : raison et facteurs dans la langue de la partie", async () => {
+  const game = new Game(["A", "B"], {
+    strategies: [new ScriptedStrategy(), new ScriptedStrategy()],
+    seed: 1,
+    deck: { cards: "12", fill: true },
+    lang: "en",
+    io: { log: () => {} },
+    textLog: false,
+    record: false,
+  });
+  const [a] = game.players;
+  await game.applyCardToPlayer(a, game.drawCard());
+
+  const adv = game.computeAdviceForPlayer(a);
+  const labels = adv.details.factors.map((f) => f.label);
+
+  assert.match(adv.reason, /^(Optimal policy|Risk \/ expectation)/);
+  assert.ok(labels.length > 0);
+  labels.forEach((l) => assert.ok(["action cards", "opponent actions", "game situation"].includes(l), l));
+
+  game.players.forEach((p) => (p.active = false));
+  assert.equal(game.computeAdviceForPlayer(a).reason, "Player inactive/eliminated.");
+});
+
+test("vue plein écran : table et touches dans la langue demandée", () => {
+  const ui = new TerminalUI({ lang: "en" });
+  ui.state = makeGame(["A", "B"]).snapshot();
+  ui.pending = { prompt: { kind: "hitOrStay", player: "A" } };
+
+  assert.match(ui.tableInfo(), /^ Round 1 \| Dealer A \| Deck 0 \| Discard 0 \| Target 200$/);
+  assert.match(ui.playerLine(ui.state.players[0], 80), /round {3}0 \| total {3}0/);
+  assert.match(ui.promptLine(), /\[a\] advice/);
+  assert.match(new TerminalUI().promptLine(), /En attente des autres joueurs/);
+});
@@ -0,0 +1,606 @@
+// test/rules.test.js
+// =======================================================
+// Conformité aux règles : pioches imposées (test/helpers.js) pour faire passer
+// Game.applyCardToPlayer, Game.playRound et Player.computeRoundScore par
+// chaque règle du jeu.
+//
+// Lancer : npm test (ou node --test test/)
+// =======================================================
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const Player = require("../Player");
+const Game = require("../Game");
+const Rules = require("../Rules");
+const { ThresholdStrategy } = require("../Strategy");
+const { num, mod, act, makeGame, listen } = require("./helpers");
+
+// Stratégie de cible : toujours le joueur nommé
+const pick = (name) => (actor, candidates) => candidates.find((p) => p.name === name);
+
+// Cartes réduites à leur valeur : 5, "x2", "Freeze"...
+const values = (cards) => cards.map((c) => c.value);
+const rowOf = (player) => values(player.row);
+
+// ---------------------------------------------------------------
+// Doublon
+// ---------------------------------------------------------------
+test("doublon sans SecondChance : le joueur saute et marque 0", async () => {
+  const game = makeGame(["A", "B"]);
+  const [a] = game.players;
+
+  await game.applyCardToPlayer(a, num(5));
+  const res = await game.applyCardToPlayer(a, num(5));
+
+  assert.deepEqual(res, { alive: false, flip7: false });
+  assert.equal(a.active, false);
+  assert.equal(a.eliminated, true);
+  assert.equal(a.row.length, 2, "le doublon reste sur la table jusqu'à la fin du tour");
+  assert.equal(a.computeRoundScore(), 0);
+});
+
+test("doublon pendant un tour : 0 point pour le joueur, les autres marquent", async () => {
+  // Distribution A:5 B:3, puis A hit -> 5
+  const game = makeGame(["A", "B"], {
+    strategies: [{ moves: ["hit"] }, { moves: ["stay"] }],
+    deck: [num(5), num(3), num(5)],
+  });
+  const events = listen(game, ["bust", "roundScored"]);
+
+  await game.playRound(1);
+
+  assert.deepEqual(events[0], { name: "bust", player: "A", card: num(5) });
+  assert.deepEqual(
+    events[1].scores.map((s) => [s.player, s.roundScore]),
+    [["A", 0], ["B", 3]]
+  );
+  assert.equal(game.discardPile.length, 3, "fin de tour : toutes les rangées partent à la défausse");
+});
+
+// ---------------------------------------------------------------
+// SecondChance
+// ---------------------------------------------------------------
+test("SecondChance : gardée, elle donne une pioche en plus", async () => {
+  const game = makeGame(["A", "B"], { deck: [num(8)] });
+  const [a] = game.players;
+
+  await game.applyCardToPlayer(a, act("SecondChance"));
+
+  assert.equal(a.secondChance, true);
+  assert.deepEqual(a.numbers, [8]);
+  assert.deepEqual(rowOf(a), ["SecondChance", 8]);
+});
+
+test("SecondChance annule un doublon : doublon et SecondChance défaussés", async () => {
+  const game = makeGame(["A", "B"], { deck: [num(5)] });
+  const [a] = game.players;
+
+  await game.applyCardToPlayer(a, act("SecondChance")); // + pioche : 5
+  const res = await game.applyCardToPlayer(a, num(5));
+
+  assert.deepEqual(res, { alive: true, flip7: false });
+  assert.equal(a.active, true);
+  assert.equal(a.secondChance, false);
+  assert.deepEqual(a.numbers, [5]);
+  assert.deepEqual(rowOf(a), [5]);
+  assert.deepEqual(values(game.discardPile), [5, "SecondChance"]);
+  assert.equal(a.computeRoundScore(), 5);
+});
+
+test("SecondChance refusée : le doublon fait sauter le joueur", async () => {
+  const game = makeGame(["A", "B"], { strategies: [{ secondChance: false }], deck: [num(5)] });
+  const [a] = game.players;
+
+  await game.applyCardToPlayer(a, act("SecondChance"));
+  const res = await game.applyCardToPlayer(a, num(5));
+
+  assert.equal(res.alive, false);
+  assert.equal(a.eliminated, true);
+});
+
+// ---------------------------------------------------------------
+// Freeze
+// ---------------------------------------------------------------
+test("Freeze : la cible perd toute sa rangée et marque 0", async () => {
+  const game = makeGame(["A", "B"], { strategies: [{ target: pick("B") }] });
+  const [a, b] = game.players;
+
+  await game.applyCardToPlayer(b, num(7));
+  await game.applyCardToPlayer(b, mod("x2"));
+  await game.applyCardToPlayer(b, mod(4));
+  assert.equal(b.computeRoundScore(), 18);
+
+  const res = await game.applyCardToPlayer(a, act("Freeze"));
+
+  assert.deepEqual(res, { alive: true, flip7: false });
+  assert.equal(a.active, true);
+  assert.equal(b.active, false);
+  assert.equal(b.eliminated, true);
+  assert.deepEqual(b.numbers, []);
+  assert.equal(b.hasX2, false);
+  assert.equal(b.plusBonus, 0);
+  assert.equal(b.computeRoundScore(), 0);
+  assert.equal(rowOf(b).at(-1), "Freeze", "la carte Freeze est posée devant la cible");
+});
+
+// ---------------------------------------------------------------
+// FlipThree
+// ---------------------------------------------------------------
+test("FlipThree : un Flip 7 au milieu des trois cartes arrête la série", async () => {
+  const game = makeGame(["A", "B"], { strategies: [{ target: pick("A") }], deck: [act("Freeze"), num(7), num(8)] });
+  const [a, b] = game.players;
+  for (let n = 1; n <= 6; n++) await game.applyCardToPlayer(a, num(n));
+
+  const res = await game.applyCardToPlayer(a, act("FlipThree"));
+
+  assert.deepEqual(res, { alive: true, flip7: true });
+  assert.deepEqual(a.numbers, [1, 2, 3, 4, 5, 6, 7]);
+  assert.deepEqual(game.deck.cards, [num(8)], "la 3e carte n'est pas piochée");
+  assert.deepEqual(game.discardPile, [act("Freeze")], "l'action mise de côté est défaussée");
+  assert.equal(b.active, true, "le Freeze en attente n'est pas résolu");
+});
+
+test("FlipThree : le Flip 7 termine le tour et rapporte le bonus", async () => {
+  // Distribution A:1 B:10 ; A pioche 2..6 puis FlipThree (B a stay : A seule cible)
+  const game = makeGame(["A", "B"], {
+    strategies: [{ moves: ["hit", "hit", "hit", "hit", "hit", "hit"] }, { moves: ["stay"] }],
+    deck: [num(1), num(10), num(2), num(3), num(4), num(5), num(6), act("FlipThree"), act("Freeze"), num(7), num(8)],
+  });
+  const events = listen(game, ["roundScored"]);
+
+  await game.playRound(1);
+
+  const [scored] = events;
+  assert.equal(scored.flip7Player, "A");
+  assert.deepEqual(
+    scored.scores.map((s) => [s.player, s.roundScore]),
+    [["A", 28 + 15], ["B", 10]]
+  );
+  assert.deepEqual(game.deck.cards, [num(8)]);
+});
+
+test("FlipThree : la cible résout les actions piochées après les trois cartes", async () => {
+  const game = makeGame(["A", "B"], {
+    strategies: [{ target: pick("B") }, { target: pick("A") }],
+    deck: [act("Freeze"), num(3), num(4)],
+  });
+  const [a, b] = game.players;
+  const events = listen(game, ["flipThreeDraw", "cardDealt", "pendingAction", "freeze"]);
+
+  await game.applyCardToPlayer(a, act("FlipThree"));
+
+  const trace = events.map((e) => `${e.name}:${e.card ? e.card.value : e.target}`);
+  assert.deepEqual(trace, [
+    "cardDealt:FlipThree",
+    "flipThreeDraw:Freeze",
+    "flipThreeDraw:3",
+    "cardDealt:3",
+    "flipThreeDraw:4",
+    "cardDealt:4",
+    "pendingAction:Freeze",
+    "cardDealt:Freeze",
+    "freeze:A",
+  ]);
+  assert.equal(events.find((e) => e.name === "pendingAction").player, "B");
+  assert.equal(a.eliminated, true, "B a choisi de geler A");
+  assert.deepEqual(b.numbers, [3, 4]);
+  assert.deepEqual(rowOf(b), ["FlipThree", 3, 4]);
+});
+
+test("FlipThree : une SecondChance piochée est gardée tout de suite et protège la série", async () => {
+  const game = makeGame(["A", "B"], {
+    strategies: [{ target: pick("B") }],
+    deck: [act("SecondChance"), num(3), num(9)],
+  });
+  const [a, b] = game.players;
+  await game.applyCardToPlayer(b, num(3));
+
+  await game.applyCardToPlayer(a, act("FlipThree"));
+
+  assert.equal(b.active, true, "le doublon 3 est annulé par la SecondChance");
+  assert.equal(b.secondChance, false);
+  assert.deepEqual(b.numbers, [3, 9]);
+  assert.equal(a.secondChance, false);
+  assert.deepEqual(game.deck.cards, [], "pas de pioche en plus pour la SecondChance pendant la série");
+});
+
+test("FlipThree : une SecondChance en trop est donnée selon les règles", async () => {
+  const game = makeGame(["A", "B"], {
+    strategies: [{ target: pick("B") }],
+    deck: [act("SecondChance"), num(5), num(6)],
+  });
+  const [a, b] = game.players;
+  b.secondChance = true;
+
+  await game.applyCardToPlayer(a, act("FlipThree"));
+
+  assert.equal(b.secondChance, true);
+  assert.equal(a.secondChance, true, "la seconde SecondChance de B revient à A");
+  assert.deepEqual(b.numbers, [5, 6]);
+});
+
+test("FlipThree : la cible qui saute résout quand même ses actions en attente", async () => {
+  const game = makeGame(["A", "B", "C"], {
+    strategies: [{ target: pick("B") }, { target: pick("C") }],
+    deck: [act("Freeze"), num(7), num(8)],
+  });
+  const [a, b, c] = game.players;
+  await game.applyCardToPlayer(b, num(7));
+
+  await game.applyCardToPlayer(a, act("FlipThree"));
+
+  assert.equal(b.eliminated, true);
+  assert.equal(c.eliminated, true, "B, éliminé, gèle quand même C");
+  assert.equal(a.active, true);
+  assert.deepEqual(game.deck.cards, [num(8)], "la série s'arrête au doublon");
+});
+
+test("FlipThree imbriqués : chaque cible résout ses propres actions", async () => {
+  // A -> FlipThree sur B ; B pioche FlipThree (en attente), 1, 2 ; puis B -> FlipThree sur C ;
+  // C pioche Freeze (en attente), 5, 6 ; puis C gèle A.
+  const game = makeGame(["A", "B", "C"], {
+    strategies: [{ target: pick("B") }, { target: pick("C") }, { target: pick("A") }],
+    deck: [act("FlipThree"), num(1), num(2), act("Freeze"), num(5), num(6)],
+  });
+  const [a, b, c] = game.players;
+  const events = listen(game, ["flipThreeStart", "pendingAction", "freeze"]);
+
+  const res = await game.applyCardToPlayer(a, act("FlipThree"));
+
+  assert.deepEqual(res, { alive: true, flip7: false });
+  assert.deepEqual(
+    events.map((e) => `${e.name}:${e.player}>${e.target || e.card.value}`),
+    [
+      "flipThreeStart:A>B",
+      "pendingAction:B>FlipThree",
+      "flipThreeStart:B>C",
+      "pendingAction:C>Freeze",
+      "freeze:C>A",
+    ]
+  );
+  assert.deepEqual(b.numbers, [1, 2]);
+  assert.deepEqual(c.numbers, [5, 6]);
+  assert.equal(a.eliminated, true);
+  assert.deepEqual(game.deck.cards, []);
+});
+
+test("FlipThree : Freeze en attente sans joueur actif => défaussé", async () => {
+  const game = makeGame(["A", "B"], {
+    strategies: [{ target: pick("B") }],
+    deck: [act("Freeze"), num(4), num(4)],
+  });
+  const [a, b] = game.players;
+  a.active = false; // A a déjà stay
+
+  await game.applyCardToPlayer(a, act("FlipThree"));
+
+  assert.equal(b.eliminated, true, "doublon 4");
+  assert.equal(a.eliminated, false);
+  assert.deepEqual(values(game.discardPile), ["Freeze"]);
+});
+
+test("FlipThree sur un adversaire : le bonus Flip 7 va à la cible", async () => {
+  // Distribution A:1 B:FlipThree -> B vise A ; A pioche 2, 3, 4 ; puis A hit 5, 6, 7
+  const game = makeGame(["A", "B"], {
+    strategies: [{ moves: ["hit", "hit", "hit"] }, { target: pick("A"), moves: ["stay"] }],
+    deck: [num(1), act("FlipThree"), num(2), num(3), num(4), num(5), num(6), num(7)],
+  });
+  const events = listen(game, ["roundScored"]);
+
+  await game.playRound(1);
+
+  assert.equal(events[0].flip7Player, "A");
+  assert.equal(events[0].scores[0].roundScore, 28 + 15);
+});
+
+test("Flip 7 obtenu par FlipThree pendant le tour d'un autre : bonus à la cible, pas au joueur du tour", async () => {
+  // Distribution A:10 B:1 C:12 ; A stay ; B et C piochent chacun leur tour,
+  // puis C tire FlipThree et vise B, qui finit 1..7 avec 5, 6, 7
+  const game = makeGame(["A", "B", "C"], {
+    strategies: [{ moves: ["stay"] }, { moves: ["hit", "hit", "hit"] }, { moves: ["hit", "hit", "hit"], target: pick("B") }],
+    deck: [num(10), num(1), num(12), num(2), num(11), num(3), num(9), num(4), act("FlipThree"), num(5), num(6), num(7)],
+  });
+  const events = listen(game, ["roundScored"]);
+
+  await game.playRound(1);
+
+  assert.equal(events[0].flip7Player, "B");
+  assert.deepEqual(
+    events[0].scores.map((s) => [s.player, s.roundScore]),
+    [["A", 10], ["B", 28 + 15], ["C", 12 + 11 + 9]]
+  );
+});
+
+// ---------------------------------------------------------------
+// Score
+// ---------------------------------------------------------------
+test("x2 ne double que les nombres (ni les +bonus, ni le bonus Flip 7)", () => {
+  const p = new Player("A");
+  p.addNumber(3);
+  p.addNumber(5);
+  p.applyModifier("x2");
+  p.applyModifier(4);
+
+  assert.equal(p.computeRoundScore(), (3 + 5) * 2 + 4);
+  assert.equal(p.computeRoundScore(15), (3 + 5) * 2 + 4 + 15);
+});
+
+test("x2 sans nombre ne rapporte rien, les +bonus si", async () => {
+  const game = makeGame(["A", "B"]);
+  const [a] = game.players;
+
+  await game.applyCardToPlayer(a, mod("x2"));
+  await game.applyCardToPlayer(a, mod(6));
+
+  assert.equal(a.computeRoundScore(), 6);
+});
+
+// ---------------------------------------------------------------
+// Pioche vide
+// ---------------------------------------------------------------
+test("pioche vide : la défausse est remélangée et devient la pioche", () => {
+  const game = makeGame(["A", "B"]);
+  game.discardPile = [num(9), num(11)];
+  const events = listen(game, ["reshuffle"]);
+
+  const card = game.drawCard();
+
+  assert.deepEqual(events, [{ name: "reshuffle", cards: 2 }]);
+  assert.ok([9, 11].includes(card.value));
+  assert.equal(game.deck.cards.length, 1);
+  assert.deepEqual(game.discardPile, []);
+});
+
+test("pioche et défausse vides : plus de carte, le joueur s'arrête", async () => {
+  const game = makeGame(["A", "B"], {
+    strategies: [{ moves: ["hit", "hit"] }, { moves: ["stay"] }],
+    deck: [num(4), num(6)],
+  });
+  const events = listen(game, ["roundScored"]);
+
+  assert.equal(makeGame(["A", "B"]).drawCard(), null);
+
+  await game.playRound(1);
+  assert.deepEqual(
+    events[0].scores.map((s) => [s.player, s.roundScore]),
+    [["A", 4], ["B", 6]]
+  );
+});
+
+// ---------------------------------------------------------------
+// Fin de partie
+// ---------------------------------------------------------------
+test("la partie s'arrête à la fin du tour où un joueur atteint 200", async () => {
+  const game = makeGame(["A", "B"], { deck: [num(10), num(2)] });
+  const [a] = game.players;
+  a.totalScore = 190;
+  const events = listen(game, ["roundStart", "gameOver"]);
+
+  await game.start();
+
+  assert.equal(events.filter((e) => e.name === "roundStart").length, 1);
+  assert.deepEqual(events.at(-1), {
+    name: "gameOver",
+    winner: "A",
+    winners: ["A"],
+    tieBreakRounds: 0,
+    ranking: [
+      { rank: 1, player: "A", totalScore: 200 },
+      { rank: 2, player: "B", totalScore: 2 },
+    ],
+  });
+});
+
+test("à 199 la partie continue", async () => {
+  const game = makeGame(["A", "B"], { deck: [num(10), num(2), num(1), num(3)] });
+  const [a] = game.players;
+  a.totalScore = 189;
+  const events = listen(game, ["roundScored", "gameOver"]);
+
+  await game.start();
+
+  assert.deepEqual(
+    events.map((e) => e.name),
+    ["roundScored", "roundScored", "gameOver"]
+  );
+  assert.equal(events[0].scores[0].totalScore, 199);
+  assert.equal(game.roundNumber, 2);
+  assert.equal(a.totalScore, 200);
+});
+
+// ---------------------------------------------------------------
+// SecondChance en trop
+// ---------------------------------------------------------------
+test("SecondChance en trop : le joueur qui la tire choisit à qui la donner", async () => {
+  const game = makeGame(["A", "B", "C"], { strategies: [{ target: pick("C") }] });
+  const [a, b, c] = game.players;
+  a.secondChance = true;
+  const events = listen(game, ["decision", "secondChanceGiven"]);
+
+  await game.applyCardToPlayer(a, act("SecondChance"));
+
+  assert.equal(b.secondChance, false);
+  assert.equal(c.secondChance, true);
+  assert.deepEqual(rowOf(c), ["SecondChance"]);
+  assert.deepEqual(events, [
+    { name: "decision", kind: "target", player: "A", value: "C", action: "SecondChance" },
+    { name: "secondChanceGiven", player: "A", to: "C" },
+  ]);
+});
+
+test("SecondChance en trop : seuls les joueurs actifs sans SecondChance peuvent la recevoir", async () => {
+  const candidatesSeen = [];
+  const game = makeGame(["A", "B", "C", "D"], {
+    strategies: [
+      {
+        target: (actor, candidates) => {
+          candidatesSeen.push(...candidates.map((p) => p.name));
+          return candidates[0];
+        },
+      },
+    ],
+  });
+  const [a, b, c, d] = game.players;
+  a.secondChance = true;
+  b.secondChance = true;
+  c.active = false;
+
+  await game.applyCardToPlayer(a, act("SecondChance"));
+
+  assert.deepEqual(candidatesSeen, [], "un seul candidat (D) : pas de question");
+  assert.equal(d.secondChance, true);
+});
+
+test("SecondChance en trop : défaussée si personne ne peut la prendre, ou si la règle l'impose", async () => {
+  const full = makeGame(["A", "B"]);
+  full.players.forEach((p) => (p.secondChance = true));
+  await full.applyCardToPlayer(full.players[0], act("SecondChance"));
+  assert.deepEqual(values(full.discardPile), ["SecondChance"]);
+
+  const discard = makeGame(["A", "B"], { rules: { extraSecondChance: "discard" } });
+  discard.players[0].secondChance = true;
+  await discard.applyCardToPlayer(discard.players[0], act("SecondChance"));
+  assert.equal(discard.players[1].secondChance, false);
+  assert.deepEqual(values(discard.discardPile), ["SecondChance"]);
+});
+
+test("SecondChance en trop : les bots la donnent au joueur le plus en retard", async () => {
+  const game = makeGame(["A", "B", "C"]);
+  const [a, b, c] = game.players;
+  a.strategy = new ThresholdStrategy(4);
+  a.secondChance = true;
+  b.totalScore = 120;
+  c.totalScore = 40;
+
+  await game.applyCardToPlayer(a, act("SecondChance"));
+
+  assert.equal(c.secondChance, true);
+  assert.equal(b.secondChance, false);
+});
+
+// ---------------------------------------------------------------
+// Égalité en tête
+// ---------------------------------------------------------------
+test("égalité à 200 : tour de départage entre les seuls ex aequo", async () => {
+  // Tour 1 : A 10, B 10, C 5 => A et B à 200 ; tour 2 (A et B seuls) : A 3, B 7
+  const game = makeGame(["A", "B", "C"], { deck: [num(10), num(10), num(5), num(3), num(7)] });
+  const [a, b] = game.players;
+  a.totalScore = 190;
+  b.totalScore = 190;
+  const events = listen(game, ["tieBreak", "cardDealt", "gameOver"]);
+
+  await game.start();
+
+  const tie = events.find((e) => e.name === "tieBreak");
+  assert.deepEqual(tie, { name: "tieBreak", round: 2, players: ["A", "B"], score: 200 });
+  assert.deepEqual(
+    events.filter((e) => e.name === "cardDealt").map((e) => e.player),
+    ["A", "B", "C", "A", "B"],
+    "C ne reçoit aucune carte pendant le départage"
+  );
+  assert.deepEqual(events.at(-1), {
+    name: "gameOver",
+    winner: "B",
+    winners: ["B"],
+    tieBreakRounds: 1,
+    ranking: [
+      { rank: 1, player: "B", totalScore: 207 },
+      { rank: 2, player: "A", totalScore: 203 },
+      { rank: 3, player: "C", totalScore: 5 },
+    ],
+  });
+});
+
+test("égalité après un départage : un autre tour de départage", async () => {
+  const game = makeGame(["A", "B"], { deck: [num(10), num(10), num(3), num(3), num(1), num(2)] });
+  game.players.forEach((p) => (p.totalScore = 190));
+  const events = listen(game, ["tieBreak", "gameOver"]);
+
+  await game.start();
+
+  assert.equal(events.filter((e) => e.name === "tieBreak").length, 2);
+  const over = events.at(-1);
+  assert.equal(over.winner, "B");
+  assert.equal(over.tieBreakRounds, 2);
+  assert.equal(game.roundNumber, 3);
+});
+
+test("égalité avec tieBreak = shared : victoire partagée, même rang", async () => {
+  const game = makeGame(["A", "B", "C"], { deck: [num(10), num(10), num(4)], rules: { tieBreak: "shared" } });
+  const [a, b] = game.players;
+  a.totalScore = 190;
+  b.totalScore = 190;
+  const events = listen(game, ["tieBreak", "gameOver"]);
+
+  await game.start();
+
+  assert.deepEqual(events, [
+    {
+      name: "gameOver",
+      winner: null,
+      winners: ["A", "B"],
+      tieBreakRounds: 0,
+      ranking: [
+        { rank: 1, player: "A", totalScore: 200 },
+        { rank: 1, player: "B", totalScore: 200 },
+        { rank: 3, player: "C", totalScore: 4 },
+      ],
+    },
+  ]);
+});
+
+test("égalité sans fin : victoire partagée après maxTieBreakRounds tours de départage", async () => {
+  const game = makeGame(["A", "B"], { deck: "1, 1", rules: { targetScore: 1, maxTieBreakRounds: 3 } });
+  const events = listen(game, ["tieBreak", "gameOver"]);
+
+  await game.start();
+
+  assert.equal(events.filter((e) => e.name === "tieBreak").length, 3);
+  const over = events.at(-1);
+  assert.equal(over.winner, null);
+  assert.deepEqual(over.winners, ["A", "B"]);
+  assert.equal(over.tieBreakRounds, 3);
+});
+
+test("maxTieBreakRounds : entier >= 1", () => {
+  assert.throws(() => Rules.from({ maxTieBreakRounds: 0 }), /maxTieBreakRounds doit être un entier >= 1/);
+});
+
+test("égalité plus bas dans le classement : pas de départage", async () => {
+  const game = makeGame(["A", "B", "C"], { deck: [num(10), num(5), num(5)] });
+  game.players[0].totalScore = 190;
+  const events = listen(game, ["tieBreak", "gameOver"]);
+
+  await game.start();
+
+  assert.equal(events.length, 1);
+  assert.deepEqual(
+    events[0].ranking.map((r) => r.rank),
+    [1, 2, 2]
+  );
+});
+
+test("STATE_EVENTS : la table est à jour au moment d'une question (Freeze en attente d'un FlipThree)", async () => {
+  let state = null;
+  let seen = null;
+  const game = makeGame(["A", "B"], {
+    strategies: [
+      {
+        target: (actor, candidates, action) => {
+          if (action === "FlipThree") return actor;
+          seen = state;
+          return candidates.find((p) => p.name === "B");
+        },
+      },
+    ],
+    deck: [num(5), num(6), act("Freeze")],
+  });
+  Game.STATE_EVENTS.forEach((ev) => game.on(ev, () => (state = game.snapshot())));
+  const [a] = game.players;
+
+  await game.applyCardToPlayer(a, act("FlipThree"));
+
+  assert.deepEqual(values(seen.players[0].row), ["FlipThree", 5, 6]);
+  assert.equal(seen.deck, 0);
+});